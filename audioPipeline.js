@@ -0,0 +1,165 @@
+import ffmpeg from "fluent-ffmpeg";
+import { PassThrough } from "stream";
+
+/* ===============================
+   🎚️ PIPELINE DE ÁUDIO
+================================ */
+
+// Perfis de qualidade do MP3 final
+export const AUDIO_PROFILES = {
+  // O antigo compressAudio: leve, bom para voz e efeitos
+  voz: { bitrate: "64k", channels: 1, frequency: 22050 },
+  // Padrão para músicas ambiente, mantém o estéreo
+  padrao: { bitrate: "128k", channels: 2, frequency: 44100 },
+  alta: { bitrate: "192k", channels: 2, frequency: 48000 },
+};
+
+// Lê um booleano de env/formulário ("true", "1", "sim"...)
+function parseFlag(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  return ["1", "true", "sim", "yes", "on"].includes(String(value).toLowerCase());
+}
+
+// 🟢 Configuração do pipeline: env como padrão, campos do upload podem sobrescrever
+export function resolveAudioOptions(env = process.env, overrides = {}) {
+  const perfil = overrides.perfil || env.AUDIO_PROFILE || "padrao";
+  if (!AUDIO_PROFILES[perfil]) {
+    throw new Error(`Perfil de áudio desconhecido: ${perfil} (use ${Object.keys(AUDIO_PROFILES).join(", ")})`);
+  }
+
+  return {
+    perfil,
+    normalizar: parseFlag(overrides.normalizar, parseFlag(env.AUDIO_NORMALIZE, true)),
+    alvoLUFS: Number(env.AUDIO_LOUDNESS_TARGET) || -16,
+    cortarSilencio: parseFlag(overrides.cortarSilencio, parseFlag(env.AUDIO_TRIM_SILENCE, false)),
+    limiarSilencio: env.AUDIO_SILENCE_THRESHOLD || "-50dB",
+    gerarPicos: parseFlag(overrides.gerarPicos, parseFlag(env.AUDIO_PEAKS, true)),
+    totalPicos: Number(env.AUDIO_PEAKS_COUNT) || 800,
+  };
+}
+
+// Roda o ffmpeg lendo o buffer pelo stdin e devolve { output, stderr }
+function runFfmpeg(buffer, configure) {
+  return new Promise((resolve, reject) => {
+    const inputStream = new PassThrough();
+    inputStream.end(buffer);
+
+    const outputBuffers = [];
+    const outputStream = new PassThrough();
+    outputStream.on("data", (chunk) => outputBuffers.push(chunk));
+
+    // Só termina quando o processo acabou E a saída foi toda lida
+    let stderr = "";
+    const processEnded = new Promise((done) => {
+      const command = configure(ffmpeg(inputStream))
+        .on("stderr", (line) => { stderr += line + "\n"; })
+        .on("error", (err) => {
+          console.error("❌ Erro FFmpeg:", err.message);
+          reject(err);
+        })
+        .on("end", done);
+
+      command.pipe(outputStream, { end: true });
+    });
+    const outputEnded = new Promise((done) => outputStream.on("end", done));
+
+    Promise.all([processEnded, outputEnded])
+      .then(() => resolve({ output: Buffer.concat(outputBuffers), stderr }));
+  });
+}
+
+// 1ª passada do loudnorm (EBU R128): mede o áudio sem gerar saída útil
+async function measureLoudness(buffer, alvoLUFS) {
+  const { stderr } = await runFfmpeg(buffer, (cmd) =>
+    cmd
+      .audioFilters(`loudnorm=I=${alvoLUFS}:TP=-1.5:LRA=11:print_format=json`)
+      .format("null")
+  );
+
+  const json = stderr.slice(stderr.lastIndexOf("{"), stderr.lastIndexOf("}") + 1);
+  return JSON.parse(json);
+}
+
+function silenceFilter(limiar) {
+  // Remove silêncio do início e, invertendo o áudio, do fim
+  const trim = `silenceremove=start_periods=1:start_duration=0.2:start_threshold=${limiar}`;
+  return [trim, "areverse", trim, "areverse"];
+}
+
+// 🟢 Normaliza, corta silêncio e converte para o perfil escolhido
+export async function processAudio(buffer, options) {
+  const perfil = AUDIO_PROFILES[options.perfil];
+  const filtros = [];
+
+  if (options.cortarSilencio) filtros.push(...silenceFilter(options.limiarSilencio));
+
+  if (options.normalizar) {
+    console.log("🎚️ Medindo loudness (EBU R128)...");
+    const m = await measureLoudness(buffer, options.alvoLUFS);
+    filtros.push(
+      `loudnorm=I=${options.alvoLUFS}:TP=-1.5:LRA=11` +
+      `:measured_I=${m.input_i}:measured_TP=${m.input_tp}` +
+      `:measured_LRA=${m.input_lra}:measured_thresh=${m.input_thresh}` +
+      `:offset=${m.target_offset}:linear=true`
+    );
+  }
+
+  console.log(`🎚️ Processando áudio (perfil ${options.perfil}, filtros: ${filtros.length})`);
+  const { output } = await runFfmpeg(buffer, (cmd) => {
+    if (filtros.length) cmd.audioFilters(filtros);
+    return cmd
+      .audioBitrate(perfil.bitrate)
+      .audioChannels(perfil.channels)
+      .audioFrequency(perfil.frequency)
+      .format("mp3");
+  });
+
+  return output;
+}
+
+// Taxa usada só para desenhar a forma de onda
+const PEAKS_SAMPLE_RATE = 8000;
+
+// Agrupa amostras PCM 16 bits mono em `total` picos entre 0 e 1
+export function computePeaks(pcm, total) {
+  const samples = Math.floor(pcm.length / 2);
+  const porGrupo = Math.max(Math.ceil(samples / total), 1);
+  const peaks = [];
+
+  for (let inicio = 0; inicio < samples; inicio += porGrupo) {
+    let max = 0;
+    const fim = Math.min(inicio + porGrupo, samples);
+    for (let i = inicio; i < fim; i++) {
+      const valor = Math.abs(pcm.readInt16LE(i * 2));
+      if (valor > max) max = valor;
+    }
+    peaks.push(Math.round((max / 32768) * 1000) / 1000);
+  }
+
+  return peaks;
+}
+
+// 🟢 Arquivo JSON de picos que o frontend desenha sem decodificar a faixa
+export async function generatePeaks(buffer, total = 800) {
+  const { output } = await runFfmpeg(buffer, (cmd) =>
+    cmd
+      .audioChannels(1)
+      .audioFrequency(PEAKS_SAMPLE_RATE)
+      .format("s16le")
+  );
+
+  const peaks = computePeaks(output, total);
+  return {
+    version: 1,
+    duration: output.length / 2 / PEAKS_SAMPLE_RATE,
+    length: peaks.length,
+    peaks,
+  };
+}
+
+// 🟢 Pipeline completo: devolve o MP3 processado e, se pedido, os picos
+export async function runAudioPipeline(buffer, options) {
+  const audio = await processAudio(buffer, options);
+  const peaks = options.gerarPicos ? await generatePeaks(audio, options.totalPicos) : null;
+  return { audio, peaks };
+}
@@ -0,0 +1,100 @@
+/* ===============================
+   🔐 AUTENTICAÇÃO (FIREBASE ID TOKEN)
+================================ */
+
+// Papéis vêm da custom claim `role` do usuário no Firebase Auth
+export const ROLES = {
+  MESTRE: "mestre",
+  JOGADOR: "jogador",
+  ESPECTADOR: "espectador",
+};
+
+const VALID_ROLES = Object.values(ROLES);
+
+export function isValidRole(role) {
+  return VALID_ROLES.includes(role);
+}
+
+// Lê o papel das custom claims; contas sem claim são jogadores. MESTRE_EMAILS
+// só vale para email verificado (senão qualquer um criaria a conta com ele)
+export function roleFromClaims(claims = {}, mestreEmails = []) {
+  if (isValidRole(claims.role)) return claims.role;
+  if (claims.email && claims.email_verified === true && mestreEmails.includes(claims.email.toLowerCase())) {
+    return ROLES.MESTRE;
+  }
+  return ROLES.JOGADOR;
+}
+
+// Extrai o token do cabeçalho `Authorization: Bearer <token>`
+export function bearerToken(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+// 🟢 `mestreEmails` (MESTRE_EMAILS) só serve para o primeiro mestre, antes de
+// existir alguém com a claim `role: "mestre"` para promover os outros
+export function createAuth({ adminAuth, mestreEmails = [] }) {
+  const emails = mestreEmails.map((e) => e.trim().toLowerCase()).filter(Boolean);
+
+  async function verifyToken(idToken) {
+    const decoded = await adminAuth.verifyIdToken(idToken);
+    return {
+      uid: decoded.uid,
+      email: decoded.email || null,
+      name: decoded.name || decoded.email || decoded.uid,
+      role: roleFromClaims(decoded, emails),
+    };
+  }
+
+  // Middleware: exige token válido e preenche `req.user`
+  async function requireAuth(req, res, next) {
+    const idToken = bearerToken(req);
+    if (!idToken) {
+      return res.status(401).json({ error: "Token de autenticação ausente" });
+    }
+
+    try {
+      req.user = await verifyToken(idToken);
+      next();
+    } catch (err) {
+      console.error("🔐 Token inválido:", err.code || err.message);
+      res.status(401).json({ error: "Token de autenticação inválido ou expirado" });
+    }
+  }
+
+  // Middleware: exige um dos papéis informados (usar depois de requireAuth)
+  function requireRole(...roles) {
+    return (req, res, next) => {
+      if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({ error: "Permissão insuficiente para esta ação" });
+      }
+      next();
+    };
+  }
+
+  // Middleware do Socket.IO: o cliente manda o ID token em `auth.token`
+  async function socketAuth(socket, next) {
+    const idToken = socket.handshake.auth?.token;
+
+    try {
+      if (!idToken) throw new Error("Token de autenticação ausente");
+      socket.data.user = await verifyToken(idToken);
+      next();
+    } catch (err) {
+      console.error("🔐 Socket recusado:", err.code || err.message);
+      const error = new Error("Não autenticado");
+      error.data = { code: "UNAUTHENTICATED", message: err.message };
+      next(error);
+    }
+  }
+
+  return {
+    verifyToken,
+    socketAuth,
+    requireAuth,
+    requireRole,
+    roleOf: (claims) => roleFromClaims(claims, emails),
+    requireMestre: [requireAuth, requireRole(ROLES.MESTRE)],
+  };
+}
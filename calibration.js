@@ -0,0 +1,316 @@
+import crypto from "crypto";
+import express from "express";
+import { skillFeatures, scoreSkill, validateRuleset, RulesetError } from "./skillRules.js";
+import { foldAccents } from "./textAnalysis.js";
+
+/* ===============================
+   🎯 CALIBRAÇÃO DAS REGRAS (TREINAMENTO DO MESTRE)
+================================ */
+
+// `/api/salvar-avaliacao` guarda em `treinamentoIA` a habilidade e o veredito
+// do mestre (`avaliacaoMestre`). A calibração reavalia essas habilidades,
+// mede quantas caem na mesma faixa que o mestre escolheu e ajusta pesos e
+// limites para concordar mais. O resultado é uma candidata: nada muda até o
+// mestre gravá-la e ativá-la (ver skillRules.js).
+//
+// Vereditos aceitos em `avaliacaoMestre` (o primeiro que existir):
+//   { status: "Bem Equilibrada ✅" }   uma das faixas das regras
+//   { percentual: 85 }                 a faixa onde esse percentual cai
+//   { equilibrada: true | false }      faixas sem sugestões contam como equilibradas
+
+export const TRAINING_COLLECTION = "treinamentoIA";
+
+const MULTIPLICADORES = [0.5, 0.75, 0.9, 1.1, 1.25, 1.5, 2];
+const PASSOS_ZERO = [-1, -0.5, 0.5, 1];
+const PASSOS_FAIXA = [-20, -10, -5, 5, 10, 20];
+const MAX_DISCORDANCIAS = 20;
+
+const round = (valor) => Math.round(valor * 100) / 100;
+
+// Compara status sem emoji, acento ou caixa
+const normalizeStatus = (status) => foldAccents(status).replace(/[^a-z ]+/g, "").trim();
+
+// Índice da faixa que a avaliação mostraria (ver scoreSkill). Os vereditos não
+// têm coluna própria para semRestricao, então ela conta como a última faixa.
+function predictedBand(resultado, rs) {
+  return Math.min(resultado.indiceFaixa, rs.classificacao.faixas.length - 1);
+}
+
+// 🟢 VEREDITO do mestre -> faixas aceitas (índices em rs.classificacao.faixas) ou null
+export function verdictBands(avaliacaoMestre, rs) {
+  const faixas = rs.classificacao.faixas;
+
+  if (typeof avaliacaoMestre?.status === "string") {
+    const alvo = normalizeStatus(avaliacaoMestre.status);
+    const i = faixas.findIndex((f) => normalizeStatus(f.status) === alvo);
+    if (i >= 0) return [i];
+    if (rs.classificacao.semRestricao && normalizeStatus(rs.classificacao.semRestricao.status) === alvo) {
+      return [faixas.length - 1];
+    }
+  }
+  const percentual = avaliacaoMestre?.percentual;
+  if ((typeof percentual === "number" || typeof percentual === "string") && Number.isFinite(Number(percentual))) {
+    return [faixas.findIndex((f) => f.ate === null || Number(percentual) <= f.ate)];
+  }
+  if (typeof avaliacaoMestre?.equilibrada === "boolean") {
+    const equilibrada = (faixa) => !faixa.sugestoes?.length;
+    return faixas.map((_, i) => i).filter((i) => equilibrada(faixas[i]) === avaliacaoMestre.equilibrada);
+  }
+  return null;
+}
+
+// Intervalo de percentual coberto pelas faixas (limite inferior aberto)
+function bandRange(indices, rs) {
+  const faixas = rs.classificacao.faixas;
+  const inicio = Math.min(...indices);
+  const fim = Math.max(...indices);
+  return {
+    min: inicio === 0 ? -Infinity : faixas[inicio - 1].ate,
+    max: faixas[fim].ate ?? Infinity,
+  };
+}
+
+// Transforma os documentos de treinamento em amostras já analisadas
+export function prepareSamples(docs, rs) {
+  const amostras = [];
+  const ignoradas = [];
+
+  for (const doc of docs) {
+    const habilidade = doc.habilidade;
+    if (!habilidade || typeof habilidade !== "object" || (!habilidade.nome && !habilidade.descricao)) {
+      ignoradas.push({ id: doc.id, motivo: "Sem habilidade" });
+      continue;
+    }
+    const esperadas = verdictBands(doc.avaliacaoMestre, rs);
+    if (!esperadas?.length || esperadas.includes(-1)) {
+      ignoradas.push({ id: doc.id, motivo: "Veredito do mestre não reconhecido" });
+      continue;
+    }
+    amostras.push({ id: doc.id, nome: habilidade.nome ?? null, esperadas, features: skillFeatures(habilidade, rs) });
+  }
+
+  return { amostras, ignoradas };
+}
+
+// 🟢 MEDE a concordância das regras com os vereditos
+export function measureAgreement(amostras, rs) {
+  const faixas = rs.classificacao.faixas;
+  const confusao = faixas.map(() => faixas.map(() => 0));
+  let acertos = 0;
+  let erro = 0;
+  const resultados = [];
+
+  for (const amostra of amostras) {
+    const resultado = scoreSkill(amostra.features, rs);
+    const obtida = predictedBand(resultado, rs);
+    const acertou = amostra.esperadas.includes(obtida);
+    const { min, max } = bandRange(amostra.esperadas, rs);
+    const distancia = acertou ? 0 : Math.max(1, min - resultado.percentual, resultado.percentual - max);
+
+    if (acertou) acertos += 1;
+    erro += distancia;
+    confusao[amostra.esperadas[0]][obtida] += 1;
+    resultados.push({ amostra, obtida, acertou, distancia, percentual: resultado.percentual });
+  }
+
+  const total = amostras.length;
+  return {
+    total,
+    acertos,
+    acuracia: total ? round(acertos / total) : null,
+    erroMedio: total ? round(erro / total) : null,
+    // linhas: faixa do mestre (a primeira aceita); colunas: faixa calculada
+    confusao,
+    resultados,
+  };
+}
+
+// Parâmetros ajustáveis: caminho dentro das regras + como variar
+function tunableParams(rs, amostras, minAmostras) {
+  const usos = new Map();
+  for (const amostra of amostras) {
+    for (const item of amostra.features.regras) usos.set(item.regra, (usos.get(item.regra) ?? 0) + 1);
+    if (amostra.features.tipoDano) usos.set(`tipo:${amostra.features.tipoDano}`, (usos.get(`tipo:${amostra.features.tipoDano}`) ?? 0) + 1);
+  }
+  const usado = (chave) => (usos.get(chave) ?? 0) >= minAmostras;
+
+  const params = [
+    { nome: "dado.peso", ler: (r) => r.dado.peso, gravar: (r, v) => { r.dado.peso = v; } },
+    { nome: "custoPE.peso", ler: (r) => r.custoPE.peso, gravar: (r, v) => { r.custoPE.peso = v; } },
+    { nome: "balanco.limiteMaximo", ler: (r) => r.balanco.limiteMaximo, gravar: (r, v) => { r.balanco.limiteMaximo = v; }, positivo: true },
+    { nome: "balanco.divisorRestricao", ler: (r) => r.balanco.divisorRestricao, gravar: (r, v) => { r.balanco.divisorRestricao = v; }, positivo: true },
+  ];
+
+  for (const eixo of Object.keys(rs.condicoes.pesos)) {
+    params.push({
+      nome: `condicoes.pesos.${eixo}`,
+      ler: (r) => r.condicoes.pesos[eixo],
+      gravar: (r, v) => { r.condicoes.pesos[eixo] = v; },
+    });
+  }
+  for (const tipo of Object.keys(rs.tiposDano).filter((t) => usado(`tipo:${t}`))) {
+    params.push({ nome: `tiposDano.${tipo}`, ler: (r) => r.tiposDano[tipo], gravar: (r, v) => { r.tiposDano[tipo] = v; } });
+  }
+  rs.regras.forEach((regra, i) => {
+    if (!usado(regra.id)) return;
+    params.push({ nome: `regras.${regra.id}.peso`, ler: (r) => r.regras[i].peso, gravar: (r, v) => { r.regras[i].peso = v; } });
+  });
+  rs.classificacao.faixas.forEach((faixa, i) => {
+    if (faixa.ate === null) return;
+    params.push({
+      nome: `classificacao.faixas[${i}].ate`,
+      ler: (r) => r.classificacao.faixas[i].ate,
+      gravar: (r, v) => { r.classificacao.faixas[i].ate = v; },
+      faixa: i,
+    });
+  });
+
+  return params;
+}
+
+function candidates(param, valor, rs) {
+  if (param.faixa !== undefined) {
+    const faixas = rs.classificacao.faixas;
+    const piso = param.faixa === 0 ? 0 : faixas[param.faixa - 1].ate;
+    const teto = faixas[param.faixa + 1]?.ate ?? Infinity;
+    return PASSOS_FAIXA.map((passo) => valor + passo).filter((v) => v > piso && v < teto);
+  }
+  const valores = valor === 0 ? PASSOS_ZERO : MULTIPLICADORES.map((m) => round(valor * m));
+  return valores.filter((v) => v !== valor && (!param.positivo || v > 0));
+}
+
+// Objetivo: menos erros primeiro, depois menor distância até as faixas certas
+const objective = (medida) => (medida.total - medida.acertos) * 1000 + medida.erroMedio * medida.total;
+
+// Separa ~20% das amostras (pelo id, sempre as mesmas) para validar a candidata
+function splitSamples(amostras) {
+  if (amostras.length < 20) return { treino: amostras, validacao: [] };
+  const validacao = (a) => crypto.createHash("sha1").update(String(a.id)).digest()[0] < 52;
+  return { treino: amostras.filter((a) => !validacao(a)), validacao: amostras.filter(validacao) };
+}
+
+const summary = ({ resultados, ...medida }) => medida;
+
+// 🟢 CALIBRA: busca por coordenadas (um parâmetro por vez, mantendo o que
+// melhora o objetivo) e devolve { candidata, relatorio }
+export function calibrate(docs, rs, { rodadas = 10, minAmostras = 3 } = {}) {
+  const { amostras, ignoradas } = prepareSamples(docs, rs);
+  if (amostras.length === 0) throw new RulesetError(400, "Nenhuma avaliação do mestre utilizável para calibrar", ignoradas);
+
+  const { treino, validacao } = splitSamples(amostras);
+  const candidata = structuredClone(rs);
+  const params = tunableParams(candidata, treino, minAmostras);
+
+  let melhor = objective(measureAgreement(treino, candidata));
+  for (let rodada = 0; rodada < rodadas; rodada++) {
+    let melhorou = false;
+    for (const param of params) {
+      const original = param.ler(candidata);
+      let escolhido = original;
+      for (const valor of candidates(param, original, candidata)) {
+        param.gravar(candidata, valor);
+        const objetivo = objective(measureAgreement(treino, candidata));
+        if (objetivo < melhor - 1e-9) {
+          melhor = objetivo;
+          escolhido = valor;
+          melhorou = true;
+        }
+      }
+      param.gravar(candidata, escolhido);
+    }
+    if (!melhorou) break;
+  }
+
+  const mudancas = params
+    .map((param) => ({ parametro: param.nome, antes: param.ler(rs), depois: param.ler(candidata) }))
+    .filter((m) => m.antes !== m.depois);
+
+  const antes = measureAgreement(amostras, rs);
+  const depois = measureAgreement(amostras, candidata);
+  const porRegra = rs.regras
+    .map((regra) => {
+      const com = (medida) => medida.resultados.filter((r) => r.amostra.features.regras.some((i) => i.regra === regra.id));
+      const acuracia = (lista) => (lista.length ? round(lista.filter((r) => r.acertou).length / lista.length) : null);
+      const lista = com(antes);
+      return { regra: regra.id, amostras: lista.length, acuraciaAntes: acuracia(lista), acuraciaDepois: acuracia(com(depois)) };
+    })
+    .filter((r) => r.amostras > 0);
+
+  const faixas = rs.classificacao.faixas.map((f) => f.status);
+  const discordancias = depois.resultados
+    .filter((r) => !r.acertou)
+    .sort((a, b) => b.distancia - a.distancia)
+    .slice(0, MAX_DISCORDANCIAS)
+    .map((r) => ({
+      id: r.amostra.id,
+      nome: r.amostra.nome,
+      esperado: r.amostra.esperadas.map((i) => faixas[i]),
+      obtido: faixas[r.obtida],
+      percentual: round(r.percentual),
+    }));
+
+  const relatorio = {
+    base: rs.versao,
+    amostras: amostras.length,
+    ignoradas,
+    antes: summary(antes),
+    depois: summary(depois),
+    validacao: validacao.length
+      ? { amostras: validacao.length, antes: summary(measureAgreement(validacao, rs)), depois: summary(measureAgreement(validacao, candidata)) }
+      : null,
+    faixas,
+    mudancas,
+    porRegra,
+    discordancias,
+  };
+
+  const { versao, autor, createdAt, ...conteudo } = candidata;
+  const resultado = {
+    ...conteudo,
+    descricao: `Calibrada com ${amostras.length} avaliações do mestre (base v${rs.versao})`,
+    calibracao: { base: rs.versao, amostras: amostras.length, acuraciaAntes: antes.acuracia, acuraciaDepois: depois.acuracia },
+  };
+  const erros = validateRuleset(resultado);
+  if (erros.length) throw new RulesetError(500, "A calibração gerou regras inválidas", erros);
+
+  return { candidata: resultado, relatorio };
+}
+
+// A calibração roda no processo do servidor e trava o loop de eventos (e o
+// jogo de todas as salas) enquanto dura: pela rota só rodadas curtas sobre as
+// avaliações mais recentes. Calibração completa: npm run calibrar.
+export const CALIBRATION_ENDPOINT_LIMITS = { rodadas: 3, amostras: 100 };
+
+// 🟢 ROTA: POST /api/avaliacao/calibrar { versao, rodadas, minAmostras, salvar }
+// Calibra a partir da versão pedida (ou da ativa). `salvar` grava a candidata
+// como versão nova sem ativar; o mestre ativa depois de revisar.
+// `loadTraining({ limite })` devolve as `limite` avaliações mais recentes.
+export function createCalibrationRouter({ rulesets, loadTraining, auth }) {
+  const router = express.Router();
+
+  router.post("/api/avaliacao/calibrar", auth.requireMestre, async (req, res) => {
+    try {
+      const dados = req.body || {};
+      const base = dados.versao !== undefined ? await rulesets.get(dados.versao) : await rulesets.current();
+      if (!base) throw new RulesetError(404, "Versão das regras não encontrada");
+
+      const limites = CALIBRATION_ENDPOINT_LIMITS;
+      const { candidata, relatorio } = calibrate(await loadTraining({ limite: limites.amostras }), base, {
+        rodadas: Math.min(Math.max(Number(dados.rodadas) || limites.rodadas, 1), limites.rodadas),
+        minAmostras: Math.max(Number(dados.minAmostras) || 3, 1),
+      });
+      const gravada = dados.salvar ? await rulesets.save(candidata, req.user, { ativar: false }) : null;
+
+      console.log(`🎯 Calibração: ${relatorio.antes.acuracia} -> ${relatorio.depois.acuracia} em ${relatorio.amostras} avaliações`);
+      res.json({ candidata: gravada ?? candidata, relatorio, versao: gravada?.versao ?? null, limites });
+    } catch (err) {
+      if (err instanceof RulesetError) {
+        return res.status(err.status).json({ error: err.message, ...(err.detalhes ? { detalhes: err.detalhes } : {}) });
+      }
+      console.error("❌ Erro ao calibrar regras:", err);
+      res.status(500).json({ error: "Erro ao calibrar regras", message: err.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,204 @@
+import crypto from "crypto";
+import { ROLES } from "./auth.js";
+import { SOCKET_ERRORS, socketError } from "./permissions.js";
+
+/* ===============================
+   💬 CHAT DA MESA
+================================ */
+
+// Mensagens ficam na coleção `mensagens`, uma por documento:
+//   { id, sala, canal, autor, texto, gif, para, createdAt }
+// `id` começa pelo timestamp, então ordenar por id é ordenar por envio e o
+// próprio id serve de cursor para paginar.
+// `para`: null (todos do canal), { tipo: "jogador", uid, nome } (sussurro para
+// um jogador) ou { tipo: "mestre" } (só o mestre).
+
+export const CHAT_COLLECTION = "mensagens";
+
+export const DEFAULT_CHANNEL = "geral";
+
+export const CHAT_LIMITS = { texto: 2000, pagina: 50, paginaMax: 200 };
+
+// Só aceitamos GIFs servidos pela Giphy (os mesmos de /api/giphy/search)
+const GIF_HOSTS = /(^|\.)giphy\.com$/;
+
+export class ChatError extends Error {}
+
+// Canais seguem as mesmas regras de nome das salas
+export function normalizeChannel(raw) {
+  const canal = String(raw ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 32);
+
+  return canal || DEFAULT_CHANNEL;
+}
+
+function isGiphyUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === "https:" && GIF_HOSTS.test(hostname);
+  } catch {
+    return false;
+  }
+}
+
+// Recebe um item de /api/giphy/search: { id, preview, original }
+function normalizeGif(gif) {
+  if (!gif) return null;
+  if (typeof gif !== "object" || !isGiphyUrl(gif.original) || (gif.preview && !isGiphyUrl(gif.preview))) {
+    throw new ChatError("GIF inválido: use um resultado da busca da Giphy");
+  }
+  return {
+    id: String(gif.id ?? "").slice(0, 64),
+    preview: gif.preview || gif.original,
+    original: gif.original,
+  };
+}
+
+function normalizeDestino(para) {
+  if (para === undefined || para === null || para === "") return null;
+  if (para === ROLES.MESTRE || para?.tipo === ROLES.MESTRE) return { tipo: ROLES.MESTRE };
+
+  const uid = typeof para === "string" ? para : para?.uid;
+  if (!uid || typeof uid !== "string") throw new ChatError("Destinatário do sussurro inválido");
+  return { tipo: "jogador", uid, nome: para?.nome ? String(para.nome).slice(0, 100) : null };
+}
+
+// 🟢 Quem pode ler a mensagem: públicas todos; sussurros só autor e destinatário;
+// mensagens para o mestre, o autor e qualquer mestre
+export function canSeeMessage(mensagem, user) {
+  if (!mensagem.para) return true;
+  if (mensagem.autor.uid === user?.uid) return true;
+  if (mensagem.para.tipo === ROLES.MESTRE) return user?.role === ROLES.MESTRE;
+  return mensagem.para.uid === user?.uid;
+}
+
+// Contador para manter a ordem de mensagens enviadas no mesmo milissegundo
+let ultimoTs = 0;
+let sequencia = 0;
+
+function newMessageId() {
+  const agora = Date.now();
+  sequencia = agora === ultimoTs ? sequencia + 1 : 0;
+  ultimoTs = agora;
+  return `${String(agora).padStart(15, "0")}_${String(sequencia).padStart(4, "0")}_${crypto.randomUUID().slice(0, 8)}`;
+}
+
+// 🟢 Serviço de chat sobre o `store` (arquivo local ou Firestore)
+export function createChatService({ store }) {
+  async function send({ sala, user, canal, texto, gif, para }) {
+    const conteudo = typeof texto === "string" ? texto.trim() : "";
+    if (conteudo.length > CHAT_LIMITS.texto) {
+      throw new ChatError(`Mensagem com mais de ${CHAT_LIMITS.texto} caracteres`);
+    }
+
+    const gifNormalizado = normalizeGif(gif);
+    if (!conteudo && !gifNormalizado) throw new ChatError("Mensagem vazia");
+
+    const mensagem = {
+      id: newMessageId(),
+      sala,
+      canal: normalizeChannel(canal),
+      autor: { uid: user.uid, email: user.email || null, nome: user.name || null, role: user.role },
+      texto: conteudo,
+      gif: gifNormalizado,
+      para: normalizeDestino(para),
+      createdAt: new Date().toISOString(),
+    };
+
+    const { id, ...dados } = mensagem;
+    await store.set(CHAT_COLLECTION, id, dados);
+    return mensagem;
+  }
+
+  // Página do histórico visível para `user`, sempre em ordem cronológica.
+  // - sem cursor: as mais recentes
+  // - `antes`: anteriores a esse id (rolar para cima)
+  // - `depois`: posteriores a esse id (recuperar o que perdeu ao reconectar)
+  // `cursor` é o id para pedir a próxima página no mesmo sentido, ou null se acabou.
+  async function history({ sala, canal, user, antes, depois, limite }) {
+    const tamanho = Math.min(Math.max(Number(limite) || CHAT_LIMITS.pagina, 1), CHAT_LIMITS.paginaMax);
+    const direction = depois ? "asc" : "desc";
+    const visiveis = [];
+    let cursor = depois || antes || null;
+    let acabou = false;
+
+    // Sussurros de outros são filtrados depois da consulta, então busca até completar a página
+    while (visiveis.length < tamanho && !acabou) {
+      const lote = await store.list(CHAT_COLLECTION, {
+        where: { sala, canal: normalizeChannel(canal) },
+        orderBy: "id",
+        direction,
+        startAfter: cursor,
+        limit: tamanho,
+      });
+
+      acabou = lote.length < tamanho;
+      for (const mensagem of lote) {
+        cursor = mensagem.id;
+        if (canSeeMessage(mensagem, user)) visiveis.push(mensagem);
+        if (visiveis.length === tamanho) break;
+      }
+    }
+
+    const mensagens = direction === "desc" ? visiveis.reverse() : visiveis;
+    return { mensagens, cursor: acabou && visiveis.length < tamanho ? null : cursor };
+  }
+
+  return { send, history };
+}
+
+// 🟢 EVENTOS DE SOCKET: chat-message, chat-history
+// `deliver(sala, mensagem)` entrega a mensagem para quem pode lê-la na sala
+export function registerChatHandlers(on, { chat, getRoom, getUser, deliver }) {
+  const reply = (ack, payload) => {
+    if (typeof ack === "function") ack(payload);
+  };
+  const fail = (ack, err) => {
+    const code = err instanceof ChatError ? SOCKET_ERRORS.INVALID_PAYLOAD : SOCKET_ERRORS.INTERNAL;
+    if (code === SOCKET_ERRORS.INTERNAL) console.error("❌ Erro no chat:", err);
+    reply(ack, socketError(code, err.message));
+  };
+
+  // { canal, texto, gif, para } ou só o texto (canal geral)
+  on("chat-message", async (payload, ack) => {
+    const dados = typeof payload === "string" ? { texto: payload } : payload || {};
+    const sala = getRoom().id;
+    try {
+      const mensagem = await chat.send({
+        sala,
+        user: getUser(),
+        canal: dados.canal,
+        texto: dados.texto,
+        gif: dados.gif,
+        para: dados.para,
+      });
+      await deliver(sala, mensagem);
+      reply(ack, { ok: true, mensagem });
+    } catch (err) {
+      fail(ack, err);
+    }
+  });
+
+  // { canal, antes, depois, limite }
+  on("chat-history", async (filtros, ack) => {
+    if (typeof filtros === "function") [ack, filtros] = [filtros, {}];
+    const dados = filtros || {};
+    try {
+      const pagina = await chat.history({
+        sala: getRoom().id,
+        canal: dados.canal,
+        user: getUser(),
+        antes: dados.antes,
+        depois: dados.depois,
+        limite: dados.limite,
+      });
+      reply(ack, { ok: true, ...pagina });
+    } catch (err) {
+      fail(ack, err);
+    }
+  });
+}
@@ -0,0 +1,154 @@
+import crypto from "crypto";
+
+/* ===============================
+   🎲 ROLADOR DE DADOS
+================================ */
+
+// Notação aceita (sem diferenciar maiúsculas, espaços ignorados):
+//   3d6+2        soma de dados e constantes
+//   d20          quantidade omitida = 1
+//   d%           dado de 100 faces
+//   4d6kh3       mantém os 3 maiores (k = kh)
+//   2d20kl1      mantém o menor
+//   d20adv       vantagem: rola 2 e mantém o maior (dis/desv = desvantagem)
+//   3d6!         dados explodem: cada resultado máximo rola mais um dado
+//   adv+5        atalho para 1d20 com vantagem (+5)
+
+export const DICE_LIMITS = { dados: 100, faces: 1000, termos: 20, explosoes: 100 };
+
+export class DiceError extends Error {}
+
+const ALIASES = [
+  [/^(adv|vantagem)(?=$|[+-])/, "d20adv"],
+  [/^(dis|desv|desvantagem)(?=$|[+-])/, "d20dis"],
+];
+
+const defaultRandom = (faces) => crypto.randomInt(1, faces + 1);
+
+// Quebra a expressão em termos com sinal
+function tokenize(notacao) {
+  let expr = String(notacao ?? "").toLowerCase().replace(/\s+/g, "");
+  if (!expr) throw new DiceError("Notação vazia");
+
+  for (const [alias, troca] of ALIASES) expr = expr.replace(alias, troca);
+
+  const termos = [];
+  const regex = /([+-]?)([^+-]+)/gy;
+  let match;
+  while ((match = regex.exec(expr)) !== null) {
+    termos.push({ sinal: match[1] === "-" ? -1 : 1, texto: match[2] });
+    if (regex.lastIndex === expr.length) break;
+  }
+
+  if (termos.length === 0 || regex.lastIndex !== expr.length) {
+    throw new DiceError(`Notação inválida: ${notacao}`);
+  }
+  if (termos.length > DICE_LIMITS.termos) {
+    throw new DiceError(`No máximo ${DICE_LIMITS.termos} termos por rolagem`);
+  }
+  return termos;
+}
+
+const DICE_TERM = /^(\d*)d(\d+|%)(!?)(?:(kh|kl|k)(\d*)|(adv|dis|desv))?(!?)$/;
+
+function parseTerm({ sinal, texto }) {
+  if (/^\d+$/.test(texto)) {
+    return { tipo: "constante", sinal, valor: Number(texto) };
+  }
+
+  const m = texto.match(DICE_TERM);
+  if (!m) throw new DiceError(`Termo inválido: ${texto}`);
+
+  const [, qtd, faces, explode1, keep, keepQtd, vantagem, explode2] = m;
+  let quantidade = qtd === "" ? 1 : Number(qtd);
+  const numFaces = faces === "%" ? 100 : Number(faces);
+  let manter = null;
+
+  if (keep) {
+    manter = { maiores: keep !== "kl", qtd: keepQtd === "" ? 1 : Number(keepQtd) };
+  } else if (vantagem) {
+    // Vantagem/desvantagem dobra os dados e mantém a quantidade original
+    manter = { maiores: vantagem === "adv", qtd: quantidade };
+    quantidade *= 2;
+  }
+
+  if (quantidade < 1 || quantidade > DICE_LIMITS.dados) {
+    throw new DiceError(`Quantidade de dados deve ser entre 1 e ${DICE_LIMITS.dados}`);
+  }
+  if (numFaces < 2 || numFaces > DICE_LIMITS.faces) {
+    throw new DiceError(`Dados devem ter entre 2 e ${DICE_LIMITS.faces} faces`);
+  }
+  if (manter && (manter.qtd < 1 || manter.qtd > quantidade)) {
+    throw new DiceError(`Não é possível manter ${manter.qtd} de ${quantidade} dados`);
+  }
+
+  return {
+    tipo: "dados",
+    sinal,
+    texto,
+    quantidade,
+    faces: numFaces,
+    explode: Boolean(explode1 || explode2),
+    manter,
+  };
+}
+
+// 🟢 Valida e interpreta a notação sem rolar nada
+export function parseDice(notacao) {
+  return tokenize(notacao).map(parseTerm);
+}
+
+function rollTerm(termo, random) {
+  const dados = [];
+  let explosoes = 0;
+
+  for (let i = 0; i < termo.quantidade; i++) {
+    let valor = random(termo.faces);
+    dados.push({ valor, mantido: true, explodiu: false });
+
+    while (termo.explode && valor === termo.faces && explosoes < DICE_LIMITS.explosoes) {
+      dados[dados.length - 1].explodiu = true;
+      explosoes++;
+      valor = random(termo.faces);
+      dados.push({ valor, mantido: true, explodiu: false, extra: true });
+    }
+  }
+
+  if (termo.manter) {
+    const ordenados = [...dados].sort((a, b) =>
+      termo.manter.maiores ? b.valor - a.valor : a.valor - b.valor
+    );
+    ordenados.forEach((dado, posicao) => {
+      dado.mantido = posicao < termo.manter.qtd;
+    });
+  }
+
+  const subtotal = dados.filter((d) => d.mantido).reduce((soma, d) => soma + d.valor, 0);
+  return { ...termo, dados, subtotal: subtotal * termo.sinal };
+}
+
+// 🟢 Rola a notação. `random(faces)` pode ser trocado nos testes.
+export function rollDice(notacao, { random = defaultRandom } = {}) {
+  const partes = parseDice(notacao).map((termo) =>
+    termo.tipo === "dados"
+      ? rollTerm(termo, random)
+      : { ...termo, subtotal: termo.valor * termo.sinal }
+  );
+
+  const total = partes.reduce((soma, parte) => soma + parte.subtotal, 0);
+
+  // Texto legível: "3d6+2 = [4, 2, 6] + 2 = 14" (dados descartados entre ~ ~)
+  const detalhes = partes.map((parte, i) => {
+    const sinal = parte.sinal < 0 ? "- " : i > 0 ? "+ " : "";
+    if (parte.tipo === "constante") return `${sinal}${parte.valor}`;
+    const valores = parte.dados.map((d) => `${d.mantido ? d.valor : `~${d.valor}~`}${d.explodiu ? "!" : ""}`);
+    return `${sinal}[${valores.join(", ")}]`;
+  });
+
+  return {
+    notacao: String(notacao).trim(),
+    total,
+    partes,
+    texto: `${String(notacao).trim()} = ${detalhes.join(" ")} = ${total}`,
+  };
+}
@@ -0,0 +1,383 @@
+import crypto from "crypto";
+import express from "express";
+import { ROLES } from "./auth.js";
+
+/* ===============================
+   📜 FICHAS DE PERSONAGEM
+================================ */
+
+// Uma ficha por jogador, na coleção `fichas` com o email como id (o mesmo
+// documento que o frontend já usa e que /api/admin/delete-user apaga).
+// Campos do esquema v1:
+//   { schemaVersion, nome, tipoAura, nivel, atributos, habilidades, notas, extras }
+// Campos controlados pelo servidor: dono, revisao, createdAt, updatedAt.
+// `revisao` sobe a cada gravação; quem manda a revisão que leu recebe 409 se
+// outra pessoa gravou antes.
+// No documento, os campos fora do esquema ficam no nível de cima, como o
+// frontend os grava; a API os mostra (e recebe) em `extras`.
+
+export const FICHAS_COLLECTION = "fichas";
+
+export const FICHA_SCHEMA_VERSION = 1;
+
+export const TIPOS_AURA = [
+  "Intensificação",
+  "Transformação",
+  "Emissão",
+  "Conjuração",
+  "Manipulação",
+  "Especialização",
+  "Desconhecido",
+];
+
+export const FICHA_LIMITS = {
+  nome: 100,
+  nivel: 100,
+  atributos: 30,
+  valorAtributo: 999,
+  habilidades: 50,
+  descricao: 5000,
+  dado: 20,
+  custoPE: 999,
+  condicoes: 20,
+  condicao: 1000,
+  notas: 10000,
+  extras: 20000,
+};
+
+const CAMPOS = ["schemaVersion", "nome", "tipoAura", "nivel", "atributos", "habilidades", "notas", "extras"];
+const CAMPOS_SERVIDOR = ["dono", "revisao", "createdAt", "updatedAt"];
+const PESOS_CONDICAO = ["dificuldade", "janela", "custo", "risco"];
+const NOME_ATRIBUTO = /^[\p{L}_][\p{L}\p{N}_ ]{0,39}$/u;
+
+export class FichaError extends Error {
+  constructor(status, message, detalhes = null) {
+    super(message);
+    this.status = status;
+    this.detalhes = detalhes;
+  }
+}
+
+// O id da ficha é o email do dono
+export function fichaId(email) {
+  return String(email ?? "").trim().toLowerCase();
+}
+
+export function canWriteFicha(user, email) {
+  return user?.role === ROLES.MESTRE || (Boolean(user?.email) && fichaId(user.email) === fichaId(email));
+}
+
+// 🟢 MIGRAÇÕES: cada função leva a ficha da versão N para N+1.
+// Fichas gravadas direto pelo frontend não têm `schemaVersion` (versão 0).
+const MIGRATIONS = {
+  0: (doc) => ({
+    ...doc,
+    nivel: Number(doc.nivel) || 1,
+    atributos: doc.atributos ?? {},
+    habilidades: doc.habilidades ?? [],
+    schemaVersion: 1,
+  }),
+};
+
+const isObjeto = (valor) => typeof valor === "object" && valor !== null && !Array.isArray(valor);
+
+// Documento -> ficha da API: campos fora do esquema vão para `extras`
+// (junto com o `extras` que gravações antigas da API deixaram no documento)
+function fromStored(doc) {
+  const { extras: antigos, ...resto } = doc;
+  const ficha = { extras: isObjeto(antigos) ? { ...antigos } : {} };
+  if (antigos !== undefined && !isObjeto(antigos)) ficha.extras.extras = antigos;
+  for (const [campo, valor] of Object.entries(resto)) {
+    if (CAMPOS.includes(campo) || CAMPOS_SERVIDOR.includes(campo)) ficha[campo] = valor;
+    else ficha.extras[campo] = valor;
+  }
+  return ficha;
+}
+
+// Ficha da API -> documento: `extras` volta para o nível de cima
+function toStored({ extras, ...ficha }) {
+  return { ...extras, ...ficha };
+}
+
+// 🟢 Lê um documento de ficha: aplica as migrações (só na memória; o documento
+// não é regravado por isso) e separa os `extras`
+export function migrateFicha(doc) {
+  let ficha = { ...doc };
+  let versao = Number(ficha.schemaVersion) || 0;
+  while (versao < FICHA_SCHEMA_VERSION) {
+    ficha = MIGRATIONS[versao](ficha);
+    versao = ficha.schemaVersion;
+  }
+  return fromStored(ficha);
+}
+
+// ---------- validação ----------
+
+function texto(valor, campo, erros, { max, obrigatorio = false } = {}) {
+  if (valor === undefined || valor === null || valor === "") {
+    if (obrigatorio) erros.push({ campo, mensagem: "Obrigatório" });
+    return "";
+  }
+  if (typeof valor !== "string") {
+    erros.push({ campo, mensagem: "Deve ser texto" });
+    return "";
+  }
+  const limpo = valor.trim();
+  if (obrigatorio && !limpo) erros.push({ campo, mensagem: "Obrigatório" });
+  if (limpo.length > max) erros.push({ campo, mensagem: `No máximo ${max} caracteres` });
+  return limpo;
+}
+
+function inteiro(valor, campo, erros, { min, max, padrao }) {
+  if (valor === undefined || valor === null || valor === "") return padrao;
+  const numero = Number(valor);
+  if (!Number.isInteger(numero) || numero < min || numero > max) {
+    erros.push({ campo, mensagem: `Deve ser um inteiro entre ${min} e ${max}` });
+    return padrao;
+  }
+  return numero;
+}
+
+function lista(valor, campo, erros, max) {
+  if (valor === undefined || valor === null) return [];
+  if (!Array.isArray(valor)) {
+    erros.push({ campo, mensagem: "Deve ser uma lista" });
+    return [];
+  }
+  if (valor.length > max) erros.push({ campo, mensagem: `No máximo ${max} itens` });
+  return valor.slice(0, max);
+}
+
+function validateCondicao(cond, campo, erros) {
+  if (typeof cond !== "object" || cond === null) {
+    erros.push({ campo, mensagem: "Condição deve ser um objeto" });
+    return null;
+  }
+
+  const condicao = {
+    id: cond.id ?? crypto.randomUUID(),
+    titulo: texto(cond.titulo, `${campo}.titulo`, erros, { max: FICHA_LIMITS.nome }),
+    descricao: texto(cond.descricao, `${campo}.descricao`, erros, { max: FICHA_LIMITS.condicao, obrigatorio: true }),
+  };
+  for (const peso of PESOS_CONDICAO) {
+    condicao[peso] = inteiro(cond[peso], `${campo}.${peso}`, erros, { min: 0, max: 5, padrao: 0 });
+  }
+  return condicao;
+}
+
+// Mesmo formato que /api/gerar-habilidade produz e /api/avaliar-habilidade recebe
+export function validateHabilidade(hab, campo = "habilidade", erros = []) {
+  if (typeof hab !== "object" || hab === null) {
+    erros.push({ campo, mensagem: "Habilidade deve ser um objeto" });
+    return null;
+  }
+
+  return {
+    id: hab.id ?? crypto.randomUUID(),
+    nome: texto(hab.nome, `${campo}.nome`, erros, { max: FICHA_LIMITS.nome, obrigatorio: true }),
+    descricao: texto(hab.descricao, `${campo}.descricao`, erros, { max: FICHA_LIMITS.descricao }),
+    dado: inteiro(hab.dado, `${campo}.dado`, erros, { min: 1, max: FICHA_LIMITS.dado, padrao: 1 }),
+    tipoDano: texto(hab.tipoDano, `${campo}.tipoDano`, erros, { max: 40 }),
+    custoPE: inteiro(hab.custoPE, `${campo}.custoPE`, erros, { min: 0, max: FICHA_LIMITS.custoPE, padrao: 0 }),
+    condicoes: lista(hab.condicoes, `${campo}.condicoes`, erros, FICHA_LIMITS.condicoes)
+      .map((cond, i) => validateCondicao(cond, `${campo}.condicoes[${i}]`, erros))
+      .filter(Boolean),
+  };
+}
+
+function validateAtributos(atributos, erros) {
+  if (atributos === undefined || atributos === null) return {};
+  if (typeof atributos !== "object" || Array.isArray(atributos)) {
+    erros.push({ campo: "atributos", mensagem: "Deve ser um objeto { nome: valor }" });
+    return {};
+  }
+
+  const entradas = Object.entries(atributos);
+  if (entradas.length > FICHA_LIMITS.atributos) {
+    erros.push({ campo: "atributos", mensagem: `No máximo ${FICHA_LIMITS.atributos} atributos` });
+  }
+
+  const validos = {};
+  for (const [nome, valor] of entradas.slice(0, FICHA_LIMITS.atributos)) {
+    if (!NOME_ATRIBUTO.test(nome)) {
+      erros.push({ campo: `atributos.${nome}`, mensagem: "Nome de atributo inválido" });
+      continue;
+    }
+    validos[nome] = inteiro(valor, `atributos.${nome}`, erros, { min: 0, max: FICHA_LIMITS.valorAtributo, padrao: 0 });
+  }
+  return validos;
+}
+
+// 🟢 Valida a ficha inteira (já migrada); devolve { ficha, erros }
+export function validateFicha(dados) {
+  const erros = [];
+  if (typeof dados !== "object" || dados === null || Array.isArray(dados)) {
+    return { ficha: null, erros: [{ campo: "", mensagem: "A ficha deve ser um objeto" }] };
+  }
+
+  for (const campo of Object.keys(dados)) {
+    if (!CAMPOS.includes(campo) && !CAMPOS_SERVIDOR.includes(campo)) {
+      erros.push({ campo, mensagem: "Campo desconhecido (use `extras` para dados livres)" });
+    }
+  }
+  if (dados.schemaVersion !== undefined && dados.schemaVersion !== FICHA_SCHEMA_VERSION) {
+    erros.push({ campo: "schemaVersion", mensagem: `Versão do esquema deve ser ${FICHA_SCHEMA_VERSION}` });
+  }
+  if (!TIPOS_AURA.includes(dados.tipoAura)) {
+    erros.push({ campo: "tipoAura", mensagem: `Deve ser um de: ${TIPOS_AURA.join(", ")}` });
+  }
+
+  const extras = dados.extras ?? {};
+  if (!isObjeto(extras)) {
+    erros.push({ campo: "extras", mensagem: "Deve ser um objeto" });
+  } else if (JSON.stringify(extras).length > FICHA_LIMITS.extras) {
+    erros.push({ campo: "extras", mensagem: `No máximo ${FICHA_LIMITS.extras} caracteres em JSON` });
+  } else {
+    // Extras são gravados no nível de cima do documento: não podem ter nomes do esquema
+    for (const campo of Object.keys(extras)) {
+      if (CAMPOS.includes(campo) || CAMPOS_SERVIDOR.includes(campo)) {
+        erros.push({ campo: `extras.${campo}`, mensagem: "Nome reservado pelo esquema" });
+      }
+    }
+  }
+
+  const ficha = {
+    schemaVersion: FICHA_SCHEMA_VERSION,
+    nome: texto(dados.nome, "nome", erros, { max: FICHA_LIMITS.nome, obrigatorio: true }),
+    tipoAura: dados.tipoAura,
+    nivel: inteiro(dados.nivel, "nivel", erros, { min: 1, max: FICHA_LIMITS.nivel, padrao: 1 }),
+    atributos: validateAtributos(dados.atributos, erros),
+    habilidades: lista(dados.habilidades, "habilidades", erros, FICHA_LIMITS.habilidades)
+      .map((hab, i) => validateHabilidade(hab, `habilidades[${i}]`, erros))
+      .filter(Boolean),
+    notas: texto(dados.notas, "notas", erros, { max: FICHA_LIMITS.notas }),
+    extras,
+  };
+
+  const ids = ficha.habilidades.map((h) => String(h.id));
+  if (new Set(ids).size !== ids.length) erros.push({ campo: "habilidades", mensagem: "Ids de habilidade repetidos" });
+
+  return { ficha: erros.length ? null : ficha, erros };
+}
+
+// 🟢 Serviço de fichas sobre o `store` (no servidor, sempre o Firestore)
+export function createFichaService({ store }) {
+  async function get(email) {
+    const doc = await store.get(FICHAS_COLLECTION, fichaId(email));
+    return doc ? { id: fichaId(email), ...migrateFicha(doc) } : null;
+  }
+
+  async function list() {
+    const docs = await store.list(FICHAS_COLLECTION);
+    return docs.map(({ id, ...doc }) => ({ id, ...migrateFicha(doc) }));
+  }
+
+  // Cria ou substitui. `parcial` mescla os campos enviados sobre a ficha atual.
+  // `revisao` (opcional) é a revisão que o cliente leu.
+  async function save(email, dados, user, { parcial = false, revisao } = {}) {
+    const id = fichaId(email);
+    if (!id) throw new FichaError(400, "Email da ficha é obrigatório");
+
+    const atual = await get(id);
+    if (parcial && !atual) throw new FichaError(404, "Ficha não encontrada");
+    if (revisao !== undefined && revisao !== null && Number(revisao) !== (atual?.revisao ?? 0)) {
+      throw new FichaError(409, "A ficha foi alterada por outra pessoa; recarregue antes de salvar", { revisao: atual?.revisao ?? 0 });
+    }
+
+    const base = parcial ? { ...atual } : {};
+    delete base.id;
+    const entrada = { ...base, ...dados };
+    for (const campo of CAMPOS_SERVIDOR) delete entrada[campo];
+
+    const { ficha, erros } = validateFicha(entrada);
+    if (!ficha) throw new FichaError(400, "Ficha inválida", erros);
+
+    const agora = new Date().toISOString();
+    const gravada = {
+      ...ficha,
+      dono: atual?.dono ?? (fichaId(user.email) === id ? { uid: user.uid, email: id } : { uid: null, email: id }),
+      revisao: (atual?.revisao ?? 0) + 1,
+      createdAt: atual?.createdAt ?? agora,
+      updatedAt: agora,
+    };
+
+    await store.set(FICHAS_COLLECTION, id, toStored(gravada));
+    return { id, ...gravada };
+  }
+
+  async function remove(email) {
+    const id = fichaId(email);
+    if (!(await store.get(FICHAS_COLLECTION, id))) throw new FichaError(404, "Ficha não encontrada");
+    await store.delete(FICHAS_COLLECTION, id);
+  }
+
+  return { get, list, save, remove };
+}
+
+// 🟢 ROTAS REST: /api/fichas
+// Leitura e escrita só para o dono (email do token) e para o mestre
+export function createFichaRouter({ fichas, auth }) {
+  const router = express.Router();
+
+  const handle = (acao, fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (err) {
+      if (err instanceof FichaError) {
+        return res.status(err.status).json({ error: err.message, ...(err.detalhes ? { detalhes: err.detalhes } : {}) });
+      }
+      console.error(`❌ Erro ao ${acao}:`, err);
+      res.status(500).json({ error: `Erro ao ${acao}`, message: err.message });
+    }
+  };
+
+  const checkDono = (req) => {
+    if (!canWriteFicha(req.user, req.params.email)) {
+      throw new FichaError(403, "Só o dono da ficha ou o mestre podem acessá-la");
+    }
+  };
+
+  router.get("/api/fichas/esquema", auth.requireAuth, (req, res) => {
+    res.json({
+      schemaVersion: FICHA_SCHEMA_VERSION,
+      campos: CAMPOS,
+      tiposAura: TIPOS_AURA,
+      limites: FICHA_LIMITS,
+    });
+  });
+
+  // Mestre vê todas; jogador, só a própria
+  router.get("/api/fichas", auth.requireAuth, handle("listar fichas", async (req, res) => {
+    if (req.user.role === ROLES.MESTRE) return res.json({ fichas: await fichas.list() });
+    const propria = req.user.email ? await fichas.get(req.user.email) : null;
+    res.json({ fichas: propria ? [propria] : [] });
+  }));
+
+  router.get("/api/fichas/:email", auth.requireAuth, handle("ler ficha", async (req, res) => {
+    checkDono(req);
+    const ficha = await fichas.get(req.params.email);
+    if (!ficha) throw new FichaError(404, "Ficha não encontrada");
+    res.json(ficha);
+  }));
+
+  // PUT substitui a ficha inteira (cria se não existir); PATCH altera só os campos enviados
+  router.put("/api/fichas/:email", auth.requireAuth, handle("salvar ficha", async (req, res) => {
+    checkDono(req);
+    const { revisao, ...dados } = req.body || {};
+    res.json(await fichas.save(req.params.email, dados, req.user, { revisao }));
+  }));
+
+  router.patch("/api/fichas/:email", auth.requireAuth, handle("atualizar ficha", async (req, res) => {
+    checkDono(req);
+    const { revisao, ...dados } = req.body || {};
+    res.json(await fichas.save(req.params.email, dados, req.user, { parcial: true, revisao }));
+  }));
+
+  router.delete("/api/fichas/:email", auth.requireAuth, handle("deletar ficha", async (req, res) => {
+    checkDono(req);
+    await fichas.remove(req.params.email);
+    res.json({ success: true });
+  }));
+
+  return router;
+}
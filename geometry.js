@@ -0,0 +1,229 @@
+import { SOCKET_ERRORS, socketError } from "./permissions.js";
+import { canSeeToken, tokenCenter } from "./visibility.js";
+
+/* ===============================
+   📐 GEOMETRIA DO GRID
+================================ */
+
+// Tokens guardam posição e tamanho em pixels do mapa (`x`, `y` no canto
+// superior esquerdo, `width`, `height`). A grade da cena (ver scenes.js) diz
+// quantos pixels tem uma célula (`tamanho`) e quantos metros ela representa
+// (`metrosPorCelula`). Ângulos em graus, 0 = direita, crescendo no sentido
+// horário (o eixo y do mapa cresce para baixo).
+//
+// `medicao`:
+//   "euclidiana"  distância real entre os pontos
+//   "celulas"     conta células andando também na diagonal (cada uma vale uma);
+//                 na grade hex conta os passos entre hexágonos vizinhos
+//
+// Grade "hex": hexágonos de topo pontudo em linhas, com `tamanho` pixels entre
+// os centros de vizinhos na mesma linha. O hexágono (0, 0) tem a caixa com o
+// canto em (`offsetX`, `offsetY`).
+
+const DEFAULT_CONE_ANGLE = 90;
+
+function toNumber(valor) {
+  const numero = Number(valor);
+  return valor !== null && valor !== "" && Number.isFinite(numero) ? numero : null;
+}
+
+const pixelsToMeters = (pixels, grade) => (pixels / grade.tamanho) * grade.metrosPorCelula;
+const metersToPixels = (metros, grade) => (metros / grade.metrosPorCelula) * grade.tamanho;
+
+const round = (valor, casas = 2) => Math.round(valor * 10 ** casas) / 10 ** casas;
+
+// Ids podem chegar como texto (query string) para tokens com id numérico
+const byId = (cena, id) => cena.tokens.find((t) => String(t.id) === String(id));
+
+// 🟢 ENCAIXE: arredonda o canto do token para o canto de célula mais próximo
+export function snapPosition({ x, y }, grade) {
+  const encaixa = (valor, offset) =>
+    valor === undefined ? undefined : offset + Math.round((Number(valor) - offset) / grade.tamanho) * grade.tamanho;
+  return { x: encaixa(x, grade.offsetX), y: encaixa(y, grade.offsetY) };
+}
+
+// Deslocamento em pixels -> coordenadas axiais (q, r) arredondadas para o hexágono mais próximo
+function pixelsToHex(dx, dy, grade) {
+  const q = dx / grade.tamanho - dy / (grade.tamanho * Math.sqrt(3));
+  const r = (2 * dy) / (grade.tamanho * Math.sqrt(3));
+  const s = -q - r;
+
+  let [rq, rr, rs] = [Math.round(q), Math.round(r), Math.round(s)];
+  const [eq, er, es] = [Math.abs(rq - q), Math.abs(rr - r), Math.abs(rs - s)];
+  if (eq > er && eq > es) rq = -rr - rs;
+  else if (er > es) rr = -rq - rs;
+  return { q: rq, r: rr };
+}
+
+// Centro do hexágono (q, r), relativo ao centro do hexágono (0, 0)
+const hexToPixels = ({ q, r }, grade) => ({ x: grade.tamanho * (q + r / 2), y: ((grade.tamanho * Math.sqrt(3)) / 2) * r });
+
+// Na grade hex o centro do token vai para o centro do hexágono mais próximo
+function snapHexPosition(token, grade) {
+  const largura = Number(token.width || 0);
+  const altura = Number(token.height || 0);
+  const origem = { x: grade.offsetX + grade.tamanho / 2, y: grade.offsetY + grade.tamanho / Math.sqrt(3) };
+  const centro = { x: Number(token.x) + largura / 2, y: Number(token.y) + altura / 2 };
+
+  const hex = hexToPixels(pixelsToHex(centro.x - origem.x, centro.y - origem.y, grade), grade);
+  return { x: origem.x + hex.x - largura / 2, y: origem.y + hex.y - altura / 2 };
+}
+
+// Aplica o encaixe nas alterações de posição quando a cena pede; devolve se mudou algo.
+// `atual` é o token antes das alterações: na grade hex mover num eixo pode
+// acertar o outro, e o encaixe depende do tamanho do token.
+export function snapChanges(alteracoes, grade, atual = alteracoes) {
+  if (!grade?.encaixar) return false;
+  if (!("x" in alteracoes) && !("y" in alteracoes)) return false;
+
+  const hex = grade.tipo === "hex";
+  const encaixado = hex ? snapHexPosition({ ...atual, ...alteracoes }, grade) : snapPosition(alteracoes, grade);
+  let mudou = false;
+  for (const eixo of ["x", "y"]) {
+    if ((hex || eixo in alteracoes) && Number.isFinite(encaixado[eixo]) && encaixado[eixo] !== alteracoes[eixo]) {
+      alteracoes[eixo] = encaixado[eixo];
+      mudou = true;
+    }
+  }
+  return mudou;
+}
+
+// Distância entre dois pontos na regra de medição da grade
+function measurePixels(a, b, grade) {
+  const dx = Math.abs(a.x - b.x);
+  const dy = Math.abs(a.y - b.y);
+  if (grade.medicao !== "celulas") return Math.hypot(dx, dy);
+  if (grade.tipo !== "hex") return Math.max(dx, dy);
+
+  const { q, r } = pixelsToHex(b.x - a.x, b.y - a.y, grade);
+  return Math.max(Math.abs(q), Math.abs(r), Math.abs(q + r)) * grade.tamanho;
+}
+
+// Menor distância entre as caixas de dois tokens (0 se encostam ou se sobrepõem)
+function gapBetween(a, b) {
+  const eixo = (inicioA, tamA, inicioB, tamB) =>
+    Math.max(0, Math.max(inicioA, inicioB) - Math.min(inicioA + tamA, inicioB + tamB));
+  return {
+    x: eixo(Number(a.x || 0), Number(a.width || 0), Number(b.x || 0), Number(b.width || 0)),
+    y: eixo(Number(a.y || 0), Number(a.height || 0), Number(b.y || 0), Number(b.height || 0)),
+  };
+}
+
+// 🟢 MEDIR entre dois tokens: centro a centro e borda a borda
+export function measureTokens(a, b, grade) {
+  const pixels = measurePixels(tokenCenter(a), tokenCenter(b), grade);
+  const gap = gapBetween(a, b);
+  const pixelsBorda = measurePixels({ x: 0, y: 0 }, gap, grade);
+
+  return {
+    pixels: round(pixels),
+    celulas: round(pixels / grade.tamanho),
+    metros: round(pixelsToMeters(pixels, grade)),
+    metrosBorda: round(pixelsToMeters(pixelsBorda, grade)),
+  };
+}
+
+function angleBetween(origem, ponto) {
+  return (Math.atan2(ponto.y - origem.y, ponto.x - origem.x) * 180) / Math.PI;
+}
+
+// Diferença entre dois ângulos, de 0 a 180
+function angleDiff(a, b) {
+  return Math.abs((((a - b) % 360) + 540) % 360 - 180);
+}
+
+// Ponto dentro da área, tudo em pixels
+function insideArea(ponto, area, grade) {
+  const { origem, forma } = area;
+  const alcance = metersToPixels(area.alcance, grade);
+  const dist = measurePixels(origem, ponto, grade);
+
+  if (forma === "raio") return dist <= alcance;
+
+  if (forma === "cone") {
+    if (dist > alcance) return false;
+    if (dist === 0) return true;
+    return angleDiff(angleBetween(origem, ponto), area.direcao) <= area.angulo / 2;
+  }
+
+  // Linha: retângulo de `largura` que sai da origem na direção pedida
+  const rad = (area.direcao * Math.PI) / 180;
+  const dx = ponto.x - origem.x;
+  const dy = ponto.y - origem.y;
+  const aoLongo = dx * Math.cos(rad) + dy * Math.sin(rad);
+  const lateral = Math.abs(-dx * Math.sin(rad) + dy * Math.cos(rad));
+  return aoLongo >= 0 && aoLongo <= alcance && lateral <= metersToPixels(area.largura, grade) / 2;
+}
+
+// Resolve a origem ({ x, y } ou { tokenId }) e a direção ({ direcao } em graus ou { alvo: { x, y } })
+function normalizeArea(cena, dados = {}, user) {
+  const forma = dados.forma;
+  if (!["raio", "cone", "linha"].includes(forma)) {
+    return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, 'Forma deve ser "raio", "cone" ou "linha"');
+  }
+
+  let origem;
+  let origemToken = null;
+  if (dados.origem?.tokenId !== undefined) {
+    origemToken = byId(cena, dados.origem.tokenId);
+    if (!canSeeToken(cena, origemToken, user)) {
+      return socketError(SOCKET_ERRORS.NOT_FOUND, "Token de origem não encontrado");
+    }
+    origem = tokenCenter(origemToken);
+  } else {
+    origem = { x: toNumber(dados.origem?.x), y: toNumber(dados.origem?.y) };
+    if (origem.x === null || origem.y === null) {
+      return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "Origem deve ter x e y ou tokenId");
+    }
+  }
+
+  const alcance = toNumber(dados.alcance);
+  if (alcance === null || alcance <= 0) {
+    return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "Alcance (em metros) deve ser maior que zero");
+  }
+
+  let direcao = toNumber(dados.direcao) ?? 0;
+  if (dados.alvo) {
+    const alvo = { x: toNumber(dados.alvo.x), y: toNumber(dados.alvo.y) };
+    if (alvo.x === null || alvo.y === null) return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "Alvo deve ter x e y");
+    direcao = angleBetween(origem, alvo);
+  }
+
+  const angulo = toNumber(dados.angulo) ?? DEFAULT_CONE_ANGLE;
+  const largura = toNumber(dados.largura) ?? cena.grade.metrosPorCelula;
+  if (angulo <= 0 || angulo > 360 || largura <= 0) {
+    return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "Ângulo deve ser entre 0 e 360 e largura maior que zero");
+  }
+
+  return { ok: true, area: { forma, origem, origemToken, alcance, direcao, angulo, largura } };
+}
+
+// 🟢 ÁREA: tokens (visíveis para `user`) com o centro dentro de um raio, cone ou linha
+export function queryArea(cena, dados, user) {
+  const result = normalizeArea(cena, dados, user);
+  if (!result.ok) return result;
+
+  const { area } = result;
+  const tokens = cena.tokens
+    .filter((token) => token !== area.origemToken || dados.incluirOrigem)
+    .filter((token) => canSeeToken(cena, token, user))
+    .filter((token) => insideArea(tokenCenter(token), area, cena.grade))
+    .map((token) => ({
+      id: token.id,
+      metros: round(pixelsToMeters(measurePixels(area.origem, tokenCenter(token), cena.grade), cena.grade)),
+    }))
+    .sort((a, b) => a.metros - b.metros);
+
+  const { origemToken, ...resumo } = area;
+  return { ok: true, area: resumo, tokens };
+}
+
+// 🟢 MEDIR por id, respeitando o que o usuário pode ver
+export function measureBetween(cena, deId, paraId, user) {
+  const de = byId(cena, deId);
+  const para = byId(cena, paraId);
+  if (!canSeeToken(cena, de, user) || !canSeeToken(cena, para, user)) {
+    return socketError(SOCKET_ERRORS.NOT_FOUND, "Token não encontrado");
+  }
+  return { ok: true, de: de.id, para: para.id, ...measureTokens(de, para, cena.grade) };
+}
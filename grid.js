@@ -0,0 +1,173 @@
+import { ROLES } from "./auth.js";
+import { SOCKET_ERRORS, socketError, checkTokenOwner } from "./permissions.js";
+import { normalizeVisibility } from "./visibility.js";
+import { snapChanges } from "./geometry.js";
+
+/* ===============================
+   🗺️ OPERAÇÕES DO GRID
+================================ */
+
+// Cada token carrega `version`, atribuída pelo servidor e incrementada a cada
+// alteração. Em memória a sala guarda, por token, a versão em que cada campo
+// mudou pela última vez (`room.fieldVersions`), para decidir se um patch
+// feito sobre uma versão antiga pode ser mesclado. `desde` é a versão a partir
+// da qual esse histórico existe (ex.: tokens carregados depois de reiniciar).
+// `room` aqui é a cena onde o token está (ver scenes.js): ela tem `tokens` e
+// `fieldVersions`.
+
+// Campos que o cliente nunca altera por patch
+const PROTECTED_FIELDS = ["id", "version"];
+
+function fieldVersionsOf(room, token) {
+  if (!room.fieldVersions.has(token.id)) {
+    room.fieldVersions.set(token.id, { desde: token.version || 1, campos: {} });
+  }
+  return room.fieldVersions.get(token.id);
+}
+
+export function findToken(room, id) {
+  return room.tokens.find((t) => t.id === id);
+}
+
+// 🟢 ADICIONAR: jogadores sempre são donos do que colocam; o mestre escolhe o dono
+export function addToken(room, token, user) {
+  if (!token || typeof token !== "object" || token.id === undefined) {
+    return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "Token sem id");
+  }
+  if (findToken(room, token.id)) {
+    return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "Já existe um token com esse id");
+  }
+
+  const novo = {
+    ...token,
+    owner: user.role === ROLES.MESTRE ? token.owner ?? null : user.uid,
+    version: 1,
+  };
+
+  // Só o mestre coloca tokens escondidos
+  delete novo.visivelPara;
+  if (user.role === ROLES.MESTRE && token.visivelPara !== undefined) {
+    const regra = normalizeVisibility(token.visivelPara);
+    if (regra === undefined) return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "visivelPara inválido");
+    if (regra !== null) novo.visivelPara = regra;
+  }
+
+  snapChanges(novo, room.grade);
+
+  room.tokens.push(novo);
+  room.fieldVersions.set(novo.id, { desde: 1, campos: {} });
+  return { ok: true, token: novo };
+}
+
+// 🟢 PATCH: { id, baseVersion, changes }
+// - baseVersion igual à atual: aplica
+// - baseVersion antiga: mescla se nenhum campo alterado mudou desde então;
+//   senão recusa com CONFLICT e devolve o token atual para o cliente ressincronizar
+// - sem baseVersion (clientes antigos): aplica direto, último a escrever vence
+export function patchToken(room, { id, baseVersion, changes } = {}, user) {
+  const atual = findToken(room, id);
+  if (!atual) return socketError(SOCKET_ERRORS.NOT_FOUND, "Token não encontrado");
+
+  const denied = checkTokenOwner(user, atual);
+  if (denied) return denied;
+
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "changes deve ser um objeto");
+  }
+
+  const alteracoes = { ...changes };
+  for (const campo of PROTECTED_FIELDS) delete alteracoes[campo];
+  // Só o mestre troca o dono e a visibilidade de um token
+  if (user.role !== ROLES.MESTRE) {
+    delete alteracoes.owner;
+    delete alteracoes.visivelPara;
+  } else if ("visivelPara" in alteracoes) {
+    alteracoes.visivelPara = normalizeVisibility(alteracoes.visivelPara);
+    if (alteracoes.visivelPara === undefined) {
+      return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "visivelPara inválido");
+    }
+  }
+
+  // Com `grade.encaixar` a posição pedida é alinhada às células (na grade hex
+  // pode mexer também no outro eixo, por isso vem antes de listar os campos)
+  const ajustado = snapChanges(alteracoes, room.grade, atual);
+
+  const campos = Object.keys(alteracoes);
+  if (campos.length === 0) return { ok: true, token: atual, changes: {}, merged: false };
+
+  const versao = atual.version || 1;
+  const historico = fieldVersionsOf(room, atual);
+  let merged = false;
+
+  if (baseVersion !== undefined && baseVersion !== null && baseVersion !== versao) {
+    // Antes de `desde` não sabemos o que mudou, então não há como mesclar com segurança
+    const conhecido = baseVersion >= historico.desde && baseVersion < versao;
+    const emConflito = campos.filter((campo) => !conhecido || (historico.campos[campo] || 0) > baseVersion);
+
+    if (emConflito.length > 0) {
+      return {
+        ...socketError(SOCKET_ERRORS.CONFLICT, `Token alterado por outra pessoa (${emConflito.join(", ")}); sincronize e tente de novo`),
+        token: atual,
+      };
+    }
+    merged = true;
+  }
+
+  const novaVersao = versao + 1;
+  const novo = { ...atual, ...alteracoes, version: novaVersao };
+  for (const campo of campos) historico.campos[campo] = novaVersao;
+
+  room.tokens = room.tokens.map((t) => (t.id === id ? novo : t));
+  return { ok: true, token: novo, changes: alteracoes, merged, ajustado };
+}
+
+// 🟢 UPDATE (formato antigo, token inteiro): vira um patch só dos campos que mudaram,
+// usando a `version` que veio no token como base
+export function updateToken(room, updatedToken, user) {
+  const atual = findToken(room, updatedToken?.id);
+  if (!atual) return socketError(SOCKET_ERRORS.NOT_FOUND, "Token não encontrado");
+
+  const changes = {};
+  for (const [campo, valor] of Object.entries(updatedToken)) {
+    if (JSON.stringify(atual[campo]) !== JSON.stringify(valor)) changes[campo] = valor;
+  }
+
+  return patchToken(room, { id: atual.id, baseVersion: updatedToken.version, changes }, user);
+}
+
+// 🟢 DELETAR: mestre ou dono
+export function deleteToken(room, id, user) {
+  const atual = findToken(room, id);
+  if (!atual) return socketError(SOCKET_ERRORS.NOT_FOUND, "Token não encontrado");
+
+  const denied = checkTokenOwner(user, atual);
+  if (denied) return denied;
+
+  room.tokens = room.tokens.filter((t) => t.id !== id);
+  room.fieldVersions.delete(id);
+  return { ok: true, token: atual };
+}
+
+// 🟢 REORDENAR: só a ordem dos ids vale; o conteúdo dos tokens enviados é ignorado
+// para que uma lista desatualizada não sobrescreva alterações de outros.
+// Tokens que o cliente não conhecia continuam no fim da lista.
+export function reorderTokens(room, newOrder) {
+  if (!Array.isArray(newOrder)) {
+    return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "Nova ordem deve ser uma lista");
+  }
+
+  const ids = newOrder.map((item) => (typeof item === "object" && item !== null ? item.id : item));
+  const porId = new Map(room.tokens.map((t) => [t.id, t]));
+
+  const ordenados = [];
+  for (const id of ids) {
+    if (porId.has(id)) {
+      ordenados.push(porId.get(id));
+      porId.delete(id);
+    }
+  }
+  ordenados.push(...porId.values());
+
+  room.tokens = ordenados;
+  return { ok: true, tokens: room.tokens };
+}
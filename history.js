@@ -0,0 +1,203 @@
+import crypto from "crypto";
+import { isDeepStrictEqual } from "util";
+import { ROLES } from "./auth.js";
+import { SOCKET_ERRORS, socketError } from "./permissions.js";
+import { findToken, patchToken, reorderTokens } from "./grid.js";
+
+/* ===============================
+   ↩️ HISTÓRICO DO GRID (DESFAZER / REFAZER)
+================================ */
+
+// Cada cena guarda as últimas `room.historyLimit` operações em `room.history`
+// (só em memória; `room` é a cena, ver scenes.js). Uma entrada:
+//   { id, tipo: "add" | "patch" | "delete" | "reorder", autor, timestamp,
+//     tokenId, antes, depois, desfeita }
+// Entradas "patch" guardam também `versao`: a versão do token logo depois da
+// ação (ou do último desfazer/refazer), usada como baseVersion ao reaplicá-la.
+
+// Patches seguidos do mesmo autor no mesmo token viram uma entrada só (arrastar)
+const COALESCE_MS = 2000;
+
+// Quem aplica o desfazer/refazer: a permissão já foi checada na entrada
+const SISTEMA = { uid: "historico", role: ROLES.MESTRE };
+
+function autorDe(user) {
+  return { uid: user.uid, email: user.email || null, nome: user.name || null };
+}
+
+function push(room, entrada) {
+  room.history.push({
+    id: crypto.randomUUID(),
+    timestamp: Date.now(),
+    desfeita: false,
+    ...entrada,
+  });
+
+  // Uma ação nova descarta o que o autor tinha desfeito e ainda podia refazer
+  room.history = room.history.filter(
+    (e, i) => i === room.history.length - 1 || !(e.desfeita && e.autor.uid === entrada.autor.uid)
+  );
+
+  if (room.history.length > room.historyLimit) {
+    room.history.splice(0, room.history.length - room.historyLimit);
+  }
+}
+
+export function recordAdd(room, user, token) {
+  push(room, { tipo: "add", autor: autorDe(user), tokenId: token.id, antes: null, depois: structuredClone(token) });
+}
+
+// `anterior` é o token antes do patch e `versao` a versão dele depois;
+// guarda só os campos que mudaram
+export function recordPatch(room, user, anterior, changes, versao) {
+  const campos = Object.keys(changes);
+  if (campos.length === 0) return;
+
+  const ultima = room.history[room.history.length - 1];
+  if (
+    ultima?.tipo === "patch" &&
+    !ultima.desfeita &&
+    ultima.tokenId === anterior.id &&
+    ultima.autor.uid === user.uid &&
+    Date.now() - ultima.timestamp < COALESCE_MS
+  ) {
+    for (const campo of campos) {
+      if (!(campo in ultima.antes)) ultima.antes[campo] = structuredClone(anterior[campo]);
+    }
+    Object.assign(ultima.depois, structuredClone(changes));
+    ultima.versao = versao;
+    ultima.timestamp = Date.now();
+    return;
+  }
+
+  const antes = Object.fromEntries(campos.map((campo) => [campo, structuredClone(anterior[campo])]));
+  push(room, { tipo: "patch", autor: autorDe(user), tokenId: anterior.id, antes, depois: structuredClone(changes), versao });
+}
+
+export function recordDelete(room, user, token, index) {
+  push(room, { tipo: "delete", autor: autorDe(user), tokenId: token.id, antes: { token: structuredClone(token), index }, depois: null });
+}
+
+export function recordReorder(room, user, idsAntes, idsDepois) {
+  push(room, { tipo: "reorder", autor: autorDe(user), tokenId: null, antes: idsAntes, depois: idsDepois });
+}
+
+// Recoloca um token removido na posição original
+function reinsert(room, token, index) {
+  if (findToken(room, token.id)) {
+    return socketError(SOCKET_ERRORS.CONFLICT, "O token já está no grid");
+  }
+
+  const restaurado = { ...token, version: (token.version || 1) + 1 };
+  room.tokens.splice(Math.min(index, room.tokens.length), 0, restaurado);
+  room.fieldVersions.set(restaurado.id, { desde: restaurado.version, campos: {} });
+  return { ok: true, efeitos: [{ event: "addToken", payload: restaurado }] };
+}
+
+function remove(room, tokenId) {
+  if (!findToken(room, tokenId)) {
+    return socketError(SOCKET_ERRORS.CONFLICT, "O token não está mais no grid");
+  }
+
+  room.tokens = room.tokens.filter((t) => t.id !== tokenId);
+  room.fieldVersions.delete(tokenId);
+  return { ok: true, efeitos: [{ event: "deleteToken", payload: tokenId }] };
+}
+
+// Reaplica os campos com a versão da entrada como base: se alguém mexeu nos
+// mesmos campos depois, patchToken devolve CONFLICT e a entrada fica como está.
+// Se os campos ainda têm o valor que a entrada deixou (ex.: desfazer em
+// sequência várias ações do mesmo token), não há o que conflitar.
+function setFields(room, entrada, desfazer) {
+  const valores = desfazer ? entrada.antes : entrada.depois;
+  const deixados = desfazer ? entrada.depois : entrada.antes;
+  const atual = findToken(room, entrada.tokenId);
+  const intacto = atual && Object.keys(valores).every((campo) => isDeepStrictEqual(atual[campo], deixados[campo]));
+
+  const baseVersion = intacto ? atual.version : entrada.versao;
+  const result = patchToken(room, { id: entrada.tokenId, baseVersion, changes: valores }, SISTEMA);
+  if (!result.ok) {
+    if (result.error?.code !== SOCKET_ERRORS.CONFLICT) return result;
+    return {
+      ...socketError(SOCKET_ERRORS.CONFLICT, "O token mudou depois dessa ação; não é possível desfazê-la ou refazê-la"),
+      token: result.token,
+    };
+  }
+
+  entrada.versao = result.token.version;
+  return { ok: true, efeitos: [{ event: "updateToken", payload: result.token }] };
+}
+
+function setOrder(room, ids) {
+  const result = reorderTokens(room, ids);
+  if (!result.ok) return result;
+  return { ok: true, efeitos: [{ event: "reorder", payload: result.tokens }] };
+}
+
+// Aplica a entrada no sentido pedido: desfazer volta ao `antes`, refazer ao `depois`
+function apply(room, entrada, desfazer) {
+  switch (entrada.tipo) {
+    case "add":
+      return desfazer
+        ? remove(room, entrada.tokenId)
+        : reinsert(room, entrada.depois, room.tokens.length);
+    case "delete":
+      return desfazer
+        ? reinsert(room, entrada.antes.token, entrada.antes.index)
+        : remove(room, entrada.tokenId);
+    case "patch":
+      return setFields(room, entrada, desfazer);
+    case "reorder":
+      return setOrder(room, desfazer ? entrada.antes : entrada.depois);
+    default:
+      return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, `Tipo de entrada desconhecido: ${entrada.tipo}`);
+  }
+}
+
+// Escolhe a entrada: a pedida por id ou a mais recente do próprio usuário
+function pick(room, user, entryId, desfeita) {
+  if (entryId) {
+    const entrada = room.history.find((e) => e.id === entryId);
+    if (!entrada) return socketError(SOCKET_ERRORS.NOT_FOUND, "Entrada do histórico não encontrada");
+    if (entrada.autor.uid !== user.uid && user.role !== ROLES.MESTRE) {
+      return socketError(SOCKET_ERRORS.FORBIDDEN, "Você só pode desfazer suas próprias ações");
+    }
+    if (entrada.desfeita !== desfeita) {
+      return socketError(SOCKET_ERRORS.CONFLICT, desfeita ? "Essa ação não está desfeita" : "Essa ação já foi desfeita");
+    }
+    return { ok: true, entrada };
+  }
+
+  const candidatas = room.history.filter((e) => e.autor.uid === user.uid && e.desfeita === desfeita);
+  // Desfazer pega a última feita; refazer pega a última desfeita, que é a mais
+  // antiga das desfeitas (uma ação nova descarta as desfeitas do autor)
+  const entrada = desfeita ? candidatas[0] : candidatas[candidatas.length - 1];
+  if (!entrada) {
+    return socketError(SOCKET_ERRORS.NOT_FOUND, desfeita ? "Nada para refazer" : "Nada para desfazer");
+  }
+  return { ok: true, entrada };
+}
+
+function toggle(room, user, entryId, desfazer) {
+  const escolha = pick(room, user, entryId, !desfazer);
+  if (!escolha.ok) return escolha;
+
+  const result = apply(room, escolha.entrada, desfazer);
+  if (!result.ok) return result;
+
+  escolha.entrada.desfeita = desfazer;
+  return { ok: true, entrada: escolha.entrada, efeitos: result.efeitos };
+}
+
+// 🟢 Devolvem { ok, entrada, efeitos: [{ event, payload }] } para o servidor repassar à sala
+export const undo = (room, user, entryId) => toggle(room, user, entryId, true);
+export const redo = (room, user, entryId) => toggle(room, user, entryId, false);
+
+// 🟢 Consulta (mais recentes primeiro), filtrando por autor e/ou token
+export function queryHistory(room, { limit = 50, autor, tokenId } = {}) {
+  return room.history
+    .filter((e) => (!autor || e.autor.uid === autor || e.autor.email === autor))
+    .filter((e) => tokenId === undefined || tokenId === null || String(e.tokenId) === String(tokenId))
+    .slice(-Math.min(Number(limit) || 50, room.historyLimit))
+    .reverse();
+}
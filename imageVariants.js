@@ -0,0 +1,34 @@
+import sharp from "sharp";
+
+/* ===============================
+   🖼️ VARIANTES DE IMAGEM
+================================ */
+
+// Tamanhos gerados para cada imagem enviada (lado maior, sem ampliar)
+export const IMAGE_VARIANTS = {
+  original: { maxSize: 4096 },
+  medio: { maxSize: 1024 },
+  token: { maxSize: 256 },
+  thumb: { maxSize: 96 },
+};
+
+// 🟢 Gera todas as variantes em WebP. O sharp descarta EXIF/GPS por padrão;
+// o `rotate()` aplica a orientação da câmera antes de perder essa informação.
+export async function createImageVariants(buffer, { quality = 82 } = {}) {
+  const base = sharp(buffer, { animated: true, failOn: "error" });
+  const meta = await base.metadata();
+
+  const variantes = {};
+  for (const [nome, { maxSize }] of Object.entries(IMAGE_VARIANTS)) {
+    const { data, info } = await base
+      .clone()
+      .rotate()
+      .resize({ width: maxSize, height: maxSize, fit: "inside", withoutEnlargement: true })
+      .webp({ quality })
+      .toBuffer({ resolveWithObject: true });
+
+    variantes[nome] = { buffer: data, largura: info.width, altura: info.pageHeight || info.height };
+  }
+
+  return { formatoOriginal: meta.format, variantes };
+}
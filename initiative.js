@@ -0,0 +1,377 @@
+import crypto from "crypto";
+import { ROLES } from "./auth.js";
+import { SOCKET_ERRORS, socketError, checkTokenOwner } from "./permissions.js";
+import { findToken } from "./grid.js";
+import { rollDice, DiceError } from "./dice.js";
+import { canSeeToken } from "./visibility.js";
+import { activeScene } from "./scenes.js";
+
+/* ===============================
+   ⚔️ INICIATIVA E TURNOS
+================================ */
+
+// Estado do combate da sala (`room.combat`, persistido junto com os tokens):
+//   { ativo, rodada, turno, entradas, expirados }
+// `turno` é o índice da entrada da vez em `entradas`, que fica ordenada por
+// iniciativa. Os tokens ligados são os da cena ativa. Uma entrada:
+//   { id, nome, tokenId, iniciativa, modificador, efeitos: [{ id, nome, duracao, restante }] }
+// A duração dos efeitos é em rodadas e desce no fim do turno de quem o carrega;
+// `duracao: null` fica até ser removido. Efeitos vencidos vão para `expirados`
+// para que voltar um turno possa devolvê-los.
+
+const EXPIRED_LIMIT = 50;
+
+export function createCombatState() {
+  return { ativo: false, rodada: 0, turno: 0, entradas: [], expirados: [] };
+}
+
+function findEntry(combat, id) {
+  return combat.entradas.find((e) => e.id === id);
+}
+
+function entryNotFound() {
+  return socketError(SOCKET_ERRORS.NOT_FOUND, "Combatente não encontrado");
+}
+
+// O modificador entra na notação do dado (1d20+2), então precisa ser inteiro
+function invalidModifier() {
+  return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "Modificador deve ser um número inteiro");
+}
+
+function toNumber(valor, padrao = null) {
+  if (valor === undefined || valor === null || valor === "") return padrao;
+  const numero = Number(valor);
+  return Number.isFinite(numero) ? numero : NaN;
+}
+
+// Maior iniciativa primeiro; empate pelo modificador e depois pelo nome.
+// Quem ainda não tem iniciativa fica no fim. A vez continua com quem estava.
+function sortEntries(combat) {
+  const atual = combat.entradas[combat.turno];
+  combat.entradas.sort((a, b) => {
+    if (a.iniciativa === null || b.iniciativa === null) {
+      return (a.iniciativa === null) - (b.iniciativa === null);
+    }
+    return b.iniciativa - a.iniciativa || b.modificador - a.modificador || a.nome.localeCompare(b.nome);
+  });
+  combat.turno = atual ? combat.entradas.indexOf(atual) : 0;
+}
+
+// Jogadores só mexem em combatentes ligados a tokens deles
+export function checkCombatantOwner(room, user, entrada) {
+  if (user?.role === ROLES.MESTRE) return null;
+  const token = entrada.tokenId !== null ? findToken(activeScene(room), entrada.tokenId) : null;
+  if (!token) return socketError(SOCKET_ERRORS.NOT_OWNER, "Só o mestre controla esse combatente");
+  return checkTokenOwner(user, token);
+}
+
+// 🟢 ADICIONAR: { tokenId, nome, iniciativa, modificador }
+export function addCombatant(room, dados = {}) {
+  const combat = room.combat;
+  const tokenId = dados.tokenId ?? null;
+  const token = tokenId !== null ? findToken(activeScene(room), tokenId) : null;
+
+  if (tokenId !== null && !token) {
+    return socketError(SOCKET_ERRORS.NOT_FOUND, "Token não encontrado");
+  }
+  if (tokenId !== null && combat.entradas.some((e) => e.tokenId === tokenId)) {
+    return socketError(SOCKET_ERRORS.CONFLICT, "Esse token já está na iniciativa");
+  }
+
+  const nome = String(dados.nome ?? token?.nome ?? token?.name ?? "").trim().slice(0, 100);
+  const iniciativa = toNumber(dados.iniciativa);
+  const modificador = toNumber(dados.modificador, 0);
+  if (!nome) return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "Combatente sem nome");
+  if (Number.isNaN(iniciativa) || Number.isNaN(modificador)) {
+    return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "Iniciativa e modificador devem ser números");
+  }
+  if (!Number.isInteger(modificador)) return invalidModifier();
+
+  const entrada = { id: crypto.randomUUID(), nome, tokenId, iniciativa, modificador, efeitos: [] };
+  combat.entradas.push(entrada);
+  sortEntries(combat);
+  return { ok: true, entrada };
+}
+
+// 🟢 REMOVER: se era a vez dele, a vez passa para o próximo (nova rodada se
+// era o último, como em nextTurn)
+export function removeCombatant(room, id) {
+  const combat = room.combat;
+  const index = combat.entradas.findIndex((e) => e.id === id);
+  if (index === -1) return entryNotFound();
+
+  combat.entradas.splice(index, 1);
+  if (index < combat.turno) combat.turno--;
+  if (combat.turno >= combat.entradas.length) {
+    combat.turno = 0;
+    if (combat.ativo && combat.entradas.length > 0) combat.rodada++;
+  }
+  return { ok: true };
+}
+
+// 🟢 DEFINIR INICIATIVA: { id, iniciativa, modificador }
+export function setInitiative(room, { id, iniciativa, modificador } = {}) {
+  const entrada = findEntry(room.combat, id);
+  if (!entrada) return entryNotFound();
+
+  const valor = toNumber(iniciativa);
+  const mod = toNumber(modificador, entrada.modificador);
+  if (Number.isNaN(valor) || Number.isNaN(mod)) {
+    return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "Iniciativa e modificador devem ser números");
+  }
+  if (!Number.isInteger(mod)) return invalidModifier();
+
+  entrada.iniciativa = valor;
+  entrada.modificador = mod;
+  sortEntries(room.combat);
+  return { ok: true, entrada };
+}
+
+// 🟢 ROLAR INICIATIVA: 1d20 + modificador para cada id (ou a `notacao` pedida).
+// Rola tudo antes de aplicar: se algum id ou dado falhar, nada muda
+export function rollInitiative(room, ids, { notacao, random } = {}) {
+  const rolagens = [];
+
+  for (const id of ids) {
+    const entrada = findEntry(room.combat, id);
+    if (!entrada) return entryNotFound();
+
+    const expressao = notacao || `1d20${entrada.modificador < 0 ? "-" : "+"}${Math.abs(entrada.modificador)}`;
+    try {
+      const rolagem = rollDice(expressao, random ? { random } : undefined);
+      rolagens.push({ entrada, texto: rolagem.texto, total: rolagem.total });
+    } catch (err) {
+      if (err instanceof DiceError) return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, err.message);
+      throw err;
+    }
+  }
+
+  for (const { entrada, total } of rolagens) entrada.iniciativa = total;
+  sortEntries(room.combat);
+  return {
+    ok: true,
+    rolagens: rolagens.map(({ entrada, texto, total }) => ({ id: entrada.id, nome: entrada.nome, texto, total })),
+  };
+}
+
+// 🟢 INÍCIO / FIM DO COMBATE
+export function startCombat(room) {
+  const combat = room.combat;
+  if (combat.entradas.length === 0) {
+    return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "Adicione combatentes antes de começar");
+  }
+
+  sortEntries(combat);
+  Object.assign(combat, { ativo: true, rodada: 1, turno: 0, expirados: [] });
+  return { ok: true };
+}
+
+export function endCombat(room) {
+  room.combat = createCombatState();
+  return { ok: true };
+}
+
+// Fim do turno de `entrada`: desce a duração dos efeitos e separa os vencidos
+function tickEffects(combat, entrada) {
+  const expirados = [];
+  entrada.efeitos = entrada.efeitos.filter((efeito) => {
+    if (efeito.duracao === null) return true;
+    efeito.restante--;
+    if (efeito.restante > 0) return true;
+    expirados.push({ ...efeito, combatenteId: entrada.id, rodada: combat.rodada });
+    return false;
+  });
+
+  combat.expirados.push(...expirados);
+  if (combat.expirados.length > EXPIRED_LIMIT) {
+    combat.expirados.splice(0, combat.expirados.length - EXPIRED_LIMIT);
+  }
+  return expirados;
+}
+
+// Desfaz o `tickEffects` do fim do turno de `entrada` na `rodada`
+function untickEffects(combat, entrada, rodada) {
+  for (const efeito of entrada.efeitos) {
+    if (efeito.duracao !== null) efeito.restante = Math.min(efeito.restante + 1, efeito.duracao);
+  }
+
+  const devolvidos = combat.expirados.filter((e) => e.combatenteId === entrada.id && e.rodada === rodada);
+  combat.expirados = combat.expirados.filter((e) => !devolvidos.includes(e));
+  for (const { combatenteId, rodada: _, ...efeito } of devolvidos) {
+    entrada.efeitos.push({ ...efeito, restante: 1 });
+  }
+}
+
+function requireActive(combat) {
+  if (!combat.ativo || combat.entradas.length === 0) {
+    return socketError(SOCKET_ERRORS.CONFLICT, "Não há combate em andamento");
+  }
+  return null;
+}
+
+// 🟢 PRÓXIMO TURNO: encerra o turno atual e passa a vez (nova rodada ao dar a volta)
+export function nextTurn(room) {
+  const combat = room.combat;
+  const inativo = requireActive(combat);
+  if (inativo) return inativo;
+
+  const expirados = tickEffects(combat, combat.entradas[combat.turno]);
+
+  combat.turno++;
+  if (combat.turno >= combat.entradas.length) {
+    combat.turno = 0;
+    combat.rodada++;
+  }
+  return { ok: true, expirados };
+}
+
+// 🟢 TURNO ANTERIOR: volta a vez e devolve o que o fim daquele turno consumiu
+export function previousTurn(room) {
+  const combat = room.combat;
+  const inativo = requireActive(combat);
+  if (inativo) return inativo;
+  if (combat.rodada <= 1 && combat.turno === 0) {
+    return socketError(SOCKET_ERRORS.CONFLICT, "Já está no primeiro turno");
+  }
+
+  combat.turno--;
+  if (combat.turno < 0) {
+    combat.turno = combat.entradas.length - 1;
+    combat.rodada--;
+  }
+
+  untickEffects(combat, combat.entradas[combat.turno], combat.rodada);
+  return { ok: true };
+}
+
+// 🟢 EFEITOS: { id (combatente), nome, duracao (rodadas ou null) }
+export function addEffect(room, { id, nome, duracao } = {}) {
+  const entrada = findEntry(room.combat, id);
+  if (!entrada) return entryNotFound();
+
+  const texto = String(nome ?? "").trim().slice(0, 100);
+  const rodadas = toNumber(duracao);
+  if (!texto) return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "Efeito sem nome");
+  if (rodadas !== null && !(Number.isInteger(rodadas) && rodadas > 0)) {
+    return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "Duração deve ser um número inteiro de rodadas");
+  }
+
+  const efeito = { id: crypto.randomUUID(), nome: texto, duracao: rodadas, restante: rodadas };
+  entrada.efeitos.push(efeito);
+  return { ok: true, efeito };
+}
+
+export function removeEffect(room, { id, efeitoId } = {}) {
+  const entrada = findEntry(room.combat, id);
+  if (!entrada) return entryNotFound();
+  if (!entrada.efeitos.some((e) => e.id === efeitoId)) {
+    return socketError(SOCKET_ERRORS.NOT_FOUND, "Efeito não encontrado");
+  }
+
+  entrada.efeitos = entrada.efeitos.filter((e) => e.id !== efeitoId);
+  return { ok: true };
+}
+
+// Combatentes ligados a tokens que o usuário não vê ficam fora do que ele recebe
+function canSeeCombatant(room, user, entrada) {
+  if (!user || entrada.tokenId === null) return true;
+  const cena = activeScene(room);
+  const token = findToken(cena, entrada.tokenId);
+  return !token || canSeeToken(cena, token, user);
+}
+
+// Estado enviado aos clientes (sem a pilha interna de expirados). Se a vez é de
+// alguém que o usuário não vê, `atual` vem null e `turno` -1.
+export function combatSnapshot(room, user) {
+  const { expirados, ...estado } = room.combat;
+  const daVez = room.combat.ativo ? room.combat.entradas[room.combat.turno] : null;
+  const entradas = room.combat.entradas.filter((e) => canSeeCombatant(room, user, e));
+  const visivel = daVez && entradas.includes(daVez);
+
+  return {
+    ...estado,
+    entradas,
+    turno: daVez ? (visivel ? entradas.indexOf(daVez) : -1) : estado.turno,
+    atual: visivel ? daVez.id : null,
+  };
+}
+
+// Evento `combat` para um usuário: o estado e os detalhes da ação que ele pode ver
+export function combatEventFor(room, user, acao, extra = {}) {
+  const combate = combatSnapshot(room, user);
+  const ids = new Set(combate.entradas.map((e) => e.id));
+  const evento = { acao, combate };
+
+  if (extra.entrada && ids.has(extra.entrada.id)) evento.entrada = extra.entrada;
+  if (extra.rolagens) evento.rolagens = extra.rolagens.filter((r) => ids.has(r.id));
+  if (extra.expirados) evento.expirados = extra.expirados.filter((e) => ids.has(e.combatenteId));
+  return evento;
+}
+
+// 🟢 EVENTOS DE SOCKET (combat-*)
+// Toda alteração é repassada à sala por `broadcast(room, acao, extra)`, que
+// deve montar o evento de cada um com `combatEventFor`
+export function registerInitiativeHandlers(on, { getRoom, getUser, broadcast }) {
+  const reply = (ack, payload) => {
+    if (typeof ack === "function") ack(payload);
+  };
+
+  // Executa a operação; se deu certo avisa a sala e responde com o estado novo
+  const run = (acao, operacao, ack) => {
+    const room = getRoom();
+    const result = operacao(room);
+    if (!result.ok) return reply(ack, result);
+
+    const { ok, ...extra } = result;
+    broadcast(room, acao, extra);
+    reply(ack, { ok: true, ...extra, combate: combatSnapshot(room, getUser()) });
+  };
+
+  on("combat-state", (ack) => {
+    reply(ack, { ok: true, combate: combatSnapshot(getRoom(), getUser()) });
+  });
+
+  on("combat-start", (ack) => run("start", startCombat, ack));
+  on("combat-end", (ack) => run("end", endCombat, ack));
+  on("combat-add", (dados, ack) => run("add", (room) => addCombatant(room, dados), ack));
+  on("combat-remove", (id, ack) => run("remove", (room) => removeCombatant(room, id), ack));
+  on("combat-set", (dados, ack) => run("set", (room) => setInitiative(room, dados), ack));
+  on("combat-previous", (ack) => run("previous", previousTurn, ack));
+  on("combat-effect-add", (dados, ack) => run("effect-add", (room) => addEffect(room, dados), ack));
+  on("combat-effect-remove", (dados, ack) => run("effect-remove", (room) => removeEffect(room, dados), ack));
+
+  // { ids, notacao } (sem ids = todos os seus que ainda não têm iniciativa); jogadores só rolam
+  // para os seus e sempre 1d20 + modificador (a `notacao` só vale para o mestre)
+  on("combat-roll", (dados, ack) => {
+    if (typeof dados === "function") [ack, dados] = [dados, {}];
+    run("roll", (room) => {
+      const user = getUser();
+      const ids = Array.isArray(dados?.ids)
+        ? dados.ids
+        : room.combat.entradas
+          .filter((e) => e.iniciativa === null && !checkCombatantOwner(room, user, e))
+          .map((e) => e.id);
+
+      for (const id of ids) {
+        const entrada = findEntry(room.combat, id);
+        if (!entrada) return entryNotFound();
+        const denied = checkCombatantOwner(room, user, entrada);
+        if (denied) return denied;
+      }
+      const notacao = user?.role === ROLES.MESTRE ? dados?.notacao : undefined;
+      return rollInitiative(room, ids, { notacao });
+    }, ack);
+  });
+
+  // Jogadores podem encerrar o próprio turno; o mestre passa qualquer um
+  on("combat-next", (ack) => {
+    run("next", (room) => {
+      const atual = room.combat.entradas[room.combat.turno];
+      if (atual && room.combat.ativo) {
+        const denied = checkCombatantOwner(room, getUser(), atual);
+        if (denied) return socketError(SOCKET_ERRORS.FORBIDDEN, "Só o mestre ou o dono do combatente da vez passa o turno");
+      }
+      return nextTurn(room);
+    }, ack);
+  });
+}
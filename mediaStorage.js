@@ -0,0 +1,144 @@
+import path from "path";
+import fs from "fs";
+import crypto from "crypto";
+import axios from "axios";
+import FormData from "form-data";
+
+/* ===============================
+   🗂️ ARMAZENAMENTO DE MÍDIA (DRIVERS)
+================================ */
+
+// Todo driver expõe:
+//   name
+//   accepts(kind)                      -> true se aceita "image" | "audio" | "data"
+//   save(buffer, { filename, contentType, kind, baseUrl }) -> { url }
+
+// 🟢 IMGBB: só imagens
+export function createImgBBDriver({ apiKey }) {
+  return {
+    name: "imgbb",
+    accepts: (kind) => kind === "image",
+
+    async save(buffer) {
+      if (!apiKey) throw new Error("IMGBB_API_KEY não configurada");
+
+      const form = new FormData();
+      form.append("key", apiKey);
+      form.append("image", buffer.toString("base64"));
+
+      const resp = await axios.post("https://api.imgbb.com/1/upload", form, {
+        headers: form.getHeaders(),
+      });
+
+      const url = resp.data?.data?.url;
+      if (!url) throw new Error("ImgBB não retornou URL");
+      return { url };
+    },
+  };
+}
+
+// 🟢 CLOUDINARY: upload sem assinatura via upload preset
+export function createCloudinaryDriver({ cloudName, uploadPreset }) {
+  return {
+    name: "cloudinary",
+    accepts: () => true,
+
+    async save(buffer, { filename, contentType }) {
+      if (!cloudName || !uploadPreset) {
+        throw new Error("CLOUDINARY_CLOUD_NAME e CLOUDINARY_UPLOAD_PRESET precisam estar configurados");
+      }
+
+      const form = new FormData();
+      form.append("file", buffer, { filename, contentType });
+      form.append("upload_preset", uploadPreset);
+      form.append("resource_type", "auto");
+
+      const resp = await axios.post(
+        `https://api.cloudinary.com/v1_1/${cloudName}/auto/upload`,
+        form,
+        {
+          headers: form.getHeaders(),
+          maxContentLength: Infinity,
+          maxBodyLength: Infinity,
+          timeout: 60000,
+        }
+      );
+
+      const url = resp.data?.secure_url || resp.data?.url;
+      if (!url) throw new Error("Cloudinary não retornou URL");
+      return { url };
+    },
+  };
+}
+
+// 🟢 DISCO LOCAL: grava em `dir` e devolve a URL servida em `/uploads`
+// `publicUrl` (PUBLIC_URL) tem prioridade sobre o host da requisição
+export function createLocalDriver({ dir, publicUrl, route = "/uploads" }) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    name: "local",
+    accepts: () => true,
+    dir,
+    route,
+
+    async save(buffer, { filename = "", baseUrl = "" }) {
+      const ext = path.extname(filename).toLowerCase().replace(/[^.a-z0-9]/g, "");
+      const nome = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}${ext}`;
+
+      await fs.promises.writeFile(path.join(dir, nome), buffer);
+
+      const base = (publicUrl || baseUrl).replace(/\/+$/, "");
+      return { url: `${base}${route}/${nome}` };
+    },
+  };
+}
+
+// Cria o driver pelo nome configurado
+export function createMediaDriver(name, env = process.env, { uploadsDir } = {}) {
+  switch (name) {
+    case "imgbb":
+      return createImgBBDriver({ apiKey: env.IMGBB_API_KEY });
+    case "cloudinary":
+      return createCloudinaryDriver({
+        cloudName: env.CLOUDINARY_CLOUD_NAME,
+        uploadPreset: env.CLOUDINARY_UPLOAD_PRESET,
+      });
+    case "local":
+      return createLocalDriver({ dir: uploadsDir, publicUrl: env.PUBLIC_URL });
+    default:
+      throw new Error(`Driver de mídia desconhecido: ${name}`);
+  }
+}
+
+// 🟢 Escolhe um driver por tipo de mídia:
+//   IMAGE_STORAGE / AUDIO_STORAGE / DATA_STORAGE, com MEDIA_STORAGE como padrão geral
+export function createMediaStorage(env = process.env, { uploadsDir }) {
+  const fallback = env.MEDIA_STORAGE;
+  const drivers = new Map();
+
+  function driverFor(kind) {
+    const defaults = { image: "imgbb", audio: "cloudinary", data: "cloudinary" };
+    const name = env[`${kind.toUpperCase()}_STORAGE`] || fallback || defaults[kind];
+
+    if (!drivers.has(name)) drivers.set(name, createMediaDriver(name, env, { uploadsDir }));
+    const driver = drivers.get(name);
+
+    if (!driver.accepts(kind)) {
+      throw new Error(`O driver "${name}" não aceita arquivos do tipo ${kind}`);
+    }
+    return driver;
+  }
+
+  return {
+    driverFor,
+    uploadsDir,
+
+    async save(kind, buffer, options) {
+      const driver = driverFor(kind);
+      const result = await driver.save(buffer, { ...options, kind });
+      console.log(`🗂️ ${kind} salvo via ${driver.name}:`, result.url);
+      return result;
+    },
+  };
+}
@@ -0,0 +1,414 @@
+import express from "express";
+import path from "path";
+import fs from "fs";
+import crypto from "crypto";
+import ffmpeg from "fluent-ffmpeg";
+import { resolveAudioOptions, runAudioPipeline } from "./audioPipeline.js";
+
+/* ===============================
+   📚 BIBLIOTECA DE MÚSICAS
+================================ */
+
+// Pastas são subdiretórios de `musicas/`; o ID de uma faixa é o caminho
+// relativo ("combate/tema.mp3"). Tags e playlists ficam no `store`.
+
+export const AUDIO_EXTENSIONS = [".mp3", ".ogg", ".oga", ".opus", ".wav", ".m4a", ".aac", ".flac", ".webm"];
+
+const TAGS_COLLECTION = "musicasTags";
+const PLAYLISTS_COLLECTION = "playlists";
+
+// Erro com status HTTP, tratado pelas rotas
+export class LibraryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// IDs do Firestore não aceitam "/", então a chave das tags é o caminho em base64url
+const tagKey = (id) => Buffer.from(id).toString("base64url");
+
+// Nome de arquivo/pasta sem separadores nem "..", acentos preservados
+function safeSegment(nome) {
+  return String(nome ?? "")
+    .normalize("NFC")
+    .replace(/[\/\\:*?"<>|\x00-\x1f]/g, "")
+    .replace(/^\.+/, "")
+    .trim()
+    .slice(0, 120);
+}
+
+function probe(file) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(file, (err, data) => (err ? reject(err) : resolve(data)));
+  });
+}
+
+// 🟢 Operações sobre o diretório de músicas
+export function createMusicLibrary({ dir, store }) {
+  // Cache do ffprobe por arquivo, invalidado quando tamanho/data mudam
+  const probeCache = new Map();
+
+  // Converte um ID (caminho relativo) em caminho absoluto dentro de `dir`
+  function resolveId(id) {
+    const relativo = path.posix.normalize(String(id ?? "")).replace(/^\/+/, "");
+    const absoluto = path.resolve(dir, relativo);
+    if (!relativo || relativo.startsWith("..") || !absoluto.startsWith(path.resolve(dir) + path.sep)) {
+      throw new LibraryError(400, "Caminho inválido");
+    }
+    return { relativo, absoluto };
+  }
+
+  function resolveFolder(pasta) {
+    const partes = String(pasta ?? "").split("/").map(safeSegment).filter(Boolean);
+    return partes.join("/");
+  }
+
+  async function readInfo(absoluto, stat) {
+    const chave = `${stat.size}:${stat.mtimeMs}`;
+    const cached = probeCache.get(absoluto);
+    if (cached?.chave === chave) return cached.info;
+
+    let info = { duracao: null, codec: null, bitrate: null, canais: null, tagsArquivo: {} };
+    try {
+      const data = await probe(absoluto);
+      const stream = data.streams?.find((s) => s.codec_type === "audio");
+      info = {
+        duracao: Number(data.format?.duration) || null,
+        codec: stream?.codec_name || null,
+        bitrate: Number(data.format?.bit_rate) || null,
+        canais: stream?.channels || null,
+        tagsArquivo: { ...data.format?.tags, ...stream?.tags },
+      };
+    } catch (err) {
+      console.error(`⚠️ ffprobe falhou para ${absoluto}:`, err.message);
+    }
+
+    probeCache.set(absoluto, { chave, info });
+    return info;
+  }
+
+  async function walk(relativo = "") {
+    const entries = await fs.promises.readdir(path.join(dir, relativo), { withFileTypes: true });
+    const pastas = [];
+    const arquivos = [];
+
+    for (const entry of entries) {
+      if (entry.name.startsWith(".")) continue;
+      const caminho = relativo ? `${relativo}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        pastas.push(caminho);
+        const sub = await walk(caminho);
+        pastas.push(...sub.pastas);
+        arquivos.push(...sub.arquivos);
+      } else if (AUDIO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        arquivos.push(caminho);
+      }
+    }
+
+    return { pastas, arquivos };
+  }
+
+  async function describe(id) {
+    const { relativo, absoluto } = resolveId(id);
+    const stat = await fs.promises.stat(absoluto);
+    const info = await readInfo(absoluto, stat);
+    const meta = await store.get(TAGS_COLLECTION, tagKey(relativo));
+    const peaksFile = absoluto.replace(/\.[^.]+$/, ".peaks.json");
+
+    return {
+      id: relativo,
+      nome: path.posix.basename(relativo),
+      pasta: path.posix.dirname(relativo) === "." ? "" : path.posix.dirname(relativo),
+      caminho: `/musicas/${relativo.split("/").map(encodeURIComponent).join("/")}`,
+      peaks: fs.existsSync(peaksFile)
+        ? `/musicas/${relativo.replace(/\.[^.]+$/, ".peaks.json").split("/").map(encodeURIComponent).join("/")}`
+        : null,
+      tamanho: stat.size,
+      modificadoEm: stat.mtime.toISOString(),
+      tags: meta?.tags || [],
+      ...info,
+    };
+  }
+
+  async function list({ pasta, tag } = {}) {
+    const { pastas, arquivos } = await walk();
+    const filtro = resolveFolder(pasta);
+    // Tags são gravadas aparadas e em minúsculas (ver setTags)
+    const filtroTag = tag === undefined || tag === null ? "" : String(tag).trim().toLowerCase();
+
+    const faixas = [];
+    for (const id of arquivos) {
+      if (filtro && !id.startsWith(`${filtro}/`)) continue;
+      const faixa = await describe(id);
+      if (filtroTag && !faixa.tags.includes(filtroTag)) continue;
+      faixas.push(faixa);
+    }
+
+    return { pastas, faixas };
+  }
+
+  // Salva um arquivo (já processado) numa pasta, sem sobrescrever outro
+  async function add(buffer, { nome, pasta, peaks }) {
+    const destino = resolveFolder(pasta);
+    const ext = path.extname(nome).toLowerCase();
+    if (!AUDIO_EXTENSIONS.includes(ext)) {
+      throw new LibraryError(400, `Formato não suportado (${AUDIO_EXTENSIONS.join(", ")})`);
+    }
+
+    const base = safeSegment(path.basename(nome, path.extname(nome))) || `faixa-${Date.now()}`;
+    await fs.promises.mkdir(path.join(dir, destino), { recursive: true });
+
+    let arquivo = `${base}${ext}`;
+    for (let i = 2; fs.existsSync(path.join(dir, destino, arquivo)); i++) {
+      arquivo = `${base} (${i})${ext}`;
+    }
+
+    const id = destino ? `${destino}/${arquivo}` : arquivo;
+    const { absoluto } = resolveId(id);
+    await fs.promises.writeFile(absoluto, buffer);
+    if (peaks) {
+      await fs.promises.writeFile(absoluto.replace(/\.[^.]+$/, ".peaks.json"), JSON.stringify(peaks));
+    }
+
+    console.log(`📚 Faixa adicionada: ${id}`);
+    return describe(id);
+  }
+
+  // Renomeia e/ou move para outra pasta (mantendo a extensão), levando tags e picos junto
+  async function move(id, { nome, pasta }) {
+    const origem = resolveId(id);
+    if (!fs.existsSync(origem.absoluto)) throw new LibraryError(404, "Faixa não encontrada");
+
+    const ext = path.extname(origem.relativo);
+    const novoNome = nome !== undefined
+      ? `${safeSegment(path.basename(nome, path.extname(nome)))}${ext}`
+      : path.posix.basename(origem.relativo);
+    if (novoNome === ext) throw new LibraryError(400, "Nome inválido");
+
+    const novaPasta = pasta !== undefined
+      ? resolveFolder(pasta)
+      : path.posix.dirname(origem.relativo).replace(/^\.$/, "");
+    const destino = resolveId(novaPasta ? `${novaPasta}/${novoNome}` : novoNome);
+
+    if (destino.relativo === origem.relativo) return describe(origem.relativo);
+    if (fs.existsSync(destino.absoluto)) throw new LibraryError(409, "Já existe uma faixa com esse nome");
+
+    await fs.promises.mkdir(path.dirname(destino.absoluto), { recursive: true });
+    await fs.promises.rename(origem.absoluto, destino.absoluto);
+
+    const peaksOrigem = origem.absoluto.replace(/\.[^.]+$/, ".peaks.json");
+    if (fs.existsSync(peaksOrigem)) {
+      await fs.promises.rename(peaksOrigem, destino.absoluto.replace(/\.[^.]+$/, ".peaks.json"));
+    }
+
+    const meta = await store.get(TAGS_COLLECTION, tagKey(origem.relativo));
+    if (meta) {
+      await store.set(TAGS_COLLECTION, tagKey(destino.relativo), { ...meta, id: destino.relativo });
+      await store.delete(TAGS_COLLECTION, tagKey(origem.relativo));
+    }
+    await replaceInPlaylists(origem.relativo, destino.relativo);
+
+    console.log(`📚 Faixa movida: ${origem.relativo} → ${destino.relativo}`);
+    return describe(destino.relativo);
+  }
+
+  async function setTags(id, tags) {
+    const { relativo, absoluto } = resolveId(id);
+    if (!fs.existsSync(absoluto)) throw new LibraryError(404, "Faixa não encontrada");
+    if (!Array.isArray(tags)) throw new LibraryError(400, "tags deve ser uma lista");
+
+    const limpas = [...new Set(tags.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+    await store.set(TAGS_COLLECTION, tagKey(relativo), { id: relativo, tags: limpas });
+    return describe(relativo);
+  }
+
+  async function remove(id) {
+    const { relativo, absoluto } = resolveId(id);
+    if (!fs.existsSync(absoluto)) throw new LibraryError(404, "Faixa não encontrada");
+
+    await fs.promises.unlink(absoluto);
+    await fs.promises.rm(absoluto.replace(/\.[^.]+$/, ".peaks.json"), { force: true });
+    await store.delete(TAGS_COLLECTION, tagKey(relativo));
+    await replaceInPlaylists(relativo, null);
+    probeCache.delete(absoluto);
+    console.log(`📚 Faixa deletada: ${relativo}`);
+  }
+
+  async function createFolder(pasta) {
+    const destino = resolveFolder(pasta);
+    if (!destino) throw new LibraryError(400, "Nome da pasta é obrigatório");
+    await fs.promises.mkdir(path.join(dir, destino), { recursive: true });
+    return destino;
+  }
+
+  // Só remove pastas vazias para não apagar músicas sem querer
+  async function removeFolder(pasta) {
+    const destino = resolveFolder(pasta);
+    if (!destino) throw new LibraryError(400, "Nome da pasta é obrigatório");
+
+    const { absoluto } = resolveId(destino);
+    if (!fs.existsSync(absoluto)) throw new LibraryError(404, "Pasta não encontrada");
+    if ((await fs.promises.readdir(absoluto)).length > 0) {
+      throw new LibraryError(409, "A pasta não está vazia");
+    }
+    await fs.promises.rmdir(absoluto);
+  }
+
+  // ---------- PLAYLISTS ----------
+
+  async function listPlaylists() {
+    return store.list(PLAYLISTS_COLLECTION, { orderBy: "nome" });
+  }
+
+  async function savePlaylist(id, { nome, faixas = [] }) {
+    if (!String(nome ?? "").trim()) throw new LibraryError(400, "Nome da playlist é obrigatório");
+    if (!Array.isArray(faixas)) throw new LibraryError(400, "faixas deve ser uma lista de IDs");
+
+    for (const faixa of faixas) {
+      if (!fs.existsSync(resolveId(faixa).absoluto)) {
+        throw new LibraryError(400, `Faixa não encontrada: ${faixa}`);
+      }
+    }
+
+    const playlistId = id || crypto.randomUUID();
+    const anterior = id ? await store.get(PLAYLISTS_COLLECTION, id) : null;
+    if (id && !anterior) throw new LibraryError(404, "Playlist não encontrada");
+
+    const playlist = {
+      nome: String(nome).trim(),
+      faixas,
+      createdAt: anterior?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    await store.set(PLAYLISTS_COLLECTION, playlistId, playlist);
+    return { id: playlistId, ...playlist };
+  }
+
+  async function removePlaylist(id) {
+    await store.delete(PLAYLISTS_COLLECTION, id);
+  }
+
+  // Atualiza (ou remove, com `novo` null) uma faixa em todas as playlists
+  async function replaceInPlaylists(antigo, novo) {
+    for (const { id, ...playlist } of await listPlaylists()) {
+      if (!playlist.faixas?.includes(antigo)) continue;
+      const faixas = playlist.faixas
+        .map((f) => (f === antigo ? novo : f))
+        .filter(Boolean);
+      await store.set(PLAYLISTS_COLLECTION, id, { ...playlist, faixas });
+    }
+  }
+
+  return {
+    list,
+    describe,
+    add,
+    move,
+    setTags,
+    remove,
+    createFolder,
+    removeFolder,
+    listPlaylists,
+    savePlaylist,
+    removePlaylist,
+  };
+}
+
+// 🟢 ROTAS REST: /api/musicas e /api/playlists
+// Leitura para qualquer usuário logado; alterações só para o mestre
+export function createMusicLibraryRouter({ library, acceptUpload, auth }) {
+  const router = express.Router();
+
+  // Envolve o handler tratando LibraryError como resposta HTTP
+  const handle = (acao, fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (err) {
+      if (err instanceof LibraryError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      console.error(`❌ Erro ao ${acao}:`, err);
+      res.status(500).json({ error: `Erro ao ${acao}`, message: err.message });
+    }
+  };
+
+  router.get("/api/musicas", auth.requireAuth, handle("listar músicas", async (req, res) => {
+    res.json(await library.list({ pasta: req.query.pasta, tag: req.query.tag }));
+  }));
+
+  router.get("/api/musicas/faixas/:id", auth.requireAuth, handle("ler faixa", async (req, res) => {
+    try {
+      res.json(await library.describe(req.params.id));
+    } catch (err) {
+      if (err.code === "ENOENT") return res.status(404).json({ error: "Faixa não encontrada" });
+      throw err;
+    }
+  }));
+
+  // Upload direto para a biblioteca, passando pelo mesmo pipeline do /upload
+  router.post("/api/musicas", auth.requireMestre, acceptUpload(["audio"]), handle("enviar música", async (req, res) => {
+    let options;
+    try {
+      options = resolveAudioOptions(process.env, req.body);
+    } catch (err) {
+      throw new LibraryError(400, err.message);
+    }
+
+    let buffer = req.file.buffer;
+    let nome = req.body.nome || req.file.originalname;
+    let peaks = null;
+
+    try {
+      ({ audio: buffer, peaks } = await runAudioPipeline(req.file.buffer, options));
+      nome = nome.replace(/\.[^.]+$/, "") + ".mp3";
+    } catch (err) {
+      console.error("❌ Erro no pipeline de áudio, salvando original:", err.message);
+      nome = nome.replace(/\.[^.]+$/, "") + req.upload.ext;
+    }
+
+    res.json(await library.add(buffer, { nome, pasta: req.body.pasta, peaks }));
+  }));
+
+  router.patch("/api/musicas/faixas/:id", auth.requireMestre, handle("renomear música", async (req, res) => {
+    res.json(await library.move(req.params.id, { nome: req.body.nome, pasta: req.body.pasta }));
+  }));
+
+  router.put("/api/musicas/faixas/:id/tags", auth.requireMestre, handle("salvar tags", async (req, res) => {
+    res.json(await library.setTags(req.params.id, req.body.tags));
+  }));
+
+  router.delete("/api/musicas/faixas/:id", auth.requireMestre, handle("deletar música", async (req, res) => {
+    await library.remove(req.params.id);
+    res.json({ success: true });
+  }));
+
+  router.post("/api/musicas/pastas", auth.requireMestre, handle("criar pasta", async (req, res) => {
+    res.json({ success: true, pasta: await library.createFolder(req.body.pasta) });
+  }));
+
+  router.delete("/api/musicas/pastas/:pasta", auth.requireMestre, handle("deletar pasta", async (req, res) => {
+    await library.removeFolder(req.params.pasta);
+    res.json({ success: true });
+  }));
+
+  router.get("/api/playlists", auth.requireAuth, handle("listar playlists", async (req, res) => {
+    res.json({ playlists: await library.listPlaylists() });
+  }));
+
+  router.post("/api/playlists", auth.requireMestre, handle("criar playlist", async (req, res) => {
+    res.json(await library.savePlaylist(null, req.body));
+  }));
+
+  router.put("/api/playlists/:id", auth.requireMestre, handle("salvar playlist", async (req, res) => {
+    res.json(await library.savePlaylist(req.params.id, req.body));
+  }));
+
+  router.delete("/api/playlists/:id", auth.requireMestre, handle("deletar playlist", async (req, res) => {
+    await library.removePlaylist(req.params.id);
+    res.json({ success: true });
+  }));
+
+  return router;
+}
@@ -0,0 +1,90 @@
+/* ===============================
+   🎵 ESTADO DA MÚSICA (AUTORITATIVO)
+================================ */
+
+// O servidor guarda o que está tocando em cada sala para que quem entra ou
+// reconecta no meio da sessão ouça a mesma coisa, no mesmo ponto.
+
+export function createMusicState() {
+  return { volume: 1, tracks: {} };
+}
+
+function clampVolume(value, fallback = 1) {
+  const volume = Number(value);
+  return Number.isFinite(volume) ? Math.min(Math.max(volume, 0), 1) : fallback;
+}
+
+// Aceita o formato antigo (só a URL) ou { url, loop, volume, offset, duration }
+export function normalizePlayPayload(payload) {
+  const dados = typeof payload === "string" ? { url: payload } : payload || {};
+  if (!dados.url || typeof dados.url !== "string") return null;
+
+  const duration = Number(dados.duration);
+  return {
+    url: dados.url,
+    loop: Boolean(dados.loop),
+    volume: clampVolume(dados.volume),
+    offset: Math.max(Number(dados.offset) || 0, 0),
+    duration: Number.isFinite(duration) && duration > 0 ? duration : null,
+  };
+}
+
+// `startedAt` é o instante (relógio do servidor) em que a faixa estaria no segundo 0.
+// Aproveita a alteração para tirar as faixas que já terminaram.
+export function playTrack(music, dados, now = Date.now()) {
+  for (const antiga of Object.values(music.tracks)) {
+    if (trackOffset(antiga, now) === null) delete music.tracks[antiga.url];
+  }
+
+  const track = {
+    url: dados.url,
+    loop: dados.loop,
+    volume: dados.volume,
+    duration: dados.duration,
+    startedAt: now - dados.offset * 1000,
+  };
+
+  music.tracks[track.url] = track;
+  return track;
+}
+
+export function stopTrack(music, url) {
+  delete music.tracks[url];
+}
+
+export function stopAll(music) {
+  music.tracks = {};
+}
+
+// Sem `url` altera o volume geral da sala
+export function setVolume(music, data) {
+  const dados = typeof data === "object" && data !== null ? data : { volume: data };
+  const track = dados.url ? music.tracks[dados.url] : null;
+
+  if (track) track.volume = clampVolume(dados.volume, track.volume);
+  else if (!dados.url) music.volume = clampVolume(dados.volume, music.volume);
+
+  return dados;
+}
+
+// Posição atual da faixa em segundos, ou null se ela já terminou
+export function trackOffset(track, now = Date.now()) {
+  const elapsed = Math.max((now - track.startedAt) / 1000, 0);
+  if (!track.duration) return elapsed;
+  if (track.loop) return elapsed % track.duration;
+  return elapsed < track.duration ? elapsed : null;
+}
+
+// Estado enviado aos clientes: cada faixa leva o `offset` para o seek e o
+// `serverTime` permite corrigir a diferença entre os relógios. Não altera
+// `music`: faixas que já terminaram só ficam de fora (playTrack as remove).
+export function musicSnapshot(music, now = Date.now()) {
+  const tracks = [];
+
+  for (const track of Object.values(music.tracks)) {
+    const offset = trackOffset(track, now);
+    if (offset !== null) tracks.push({ ...track, offset });
+  }
+
+  return { serverTime: now, volume: music.volume, tracks };
+}
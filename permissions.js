@@ -0,0 +1,101 @@
+import { ROLES } from "./auth.js";
+
+/* ===============================
+   🛡️ PERMISSÕES DOS EVENTOS DE SOCKET
+================================ */
+
+const { MESTRE, JOGADOR, ESPECTADOR } = ROLES;
+
+// Papéis que podem emitir cada evento; eventos fora da tabela são livres
+// (ex.: join-room). Espectadores só recebem.
+export const EVENT_PERMISSIONS = {
+  addToken: [MESTRE, JOGADOR],
+  updateToken: [MESTRE, JOGADOR],
+  patchToken: [MESTRE, JOGADOR],
+  deleteToken: [MESTRE, JOGADOR],
+  reorder: [MESTRE],
+  undo: [MESTRE, JOGADOR],
+  redo: [MESTRE, JOGADOR],
+  history: [MESTRE],
+  "reveal-token": [MESTRE],
+  "hide-token": [MESTRE],
+
+  "fog-add": [MESTRE],
+  "fog-clear": [MESTRE],
+  "fog-cover": [MESTRE],
+  "fog-remove": [MESTRE],
+  "fog-reset": [MESTRE],
+
+  "create-scene": [MESTRE],
+  "update-scene": [MESTRE],
+  "delete-scene": [MESTRE],
+  "activate-scene": [MESTRE],
+
+  "play-music": [MESTRE],
+  "stop-music": [MESTRE],
+  "stop-all-music": [MESTRE],
+  "volume-music": [MESTRE],
+
+  "roll-dice": [MESTRE, JOGADOR],
+
+  "chat-message": [MESTRE, JOGADOR],
+
+  "combat-start": [MESTRE],
+  "combat-end": [MESTRE],
+  "combat-add": [MESTRE],
+  "combat-remove": [MESTRE],
+  "combat-set": [MESTRE],
+  "combat-previous": [MESTRE],
+  "combat-effect-add": [MESTRE],
+  "combat-effect-remove": [MESTRE],
+  "combat-roll": [MESTRE, JOGADOR],
+  "combat-next": [MESTRE, JOGADOR],
+
+  "resources-adjust": [MESTRE, JOGADOR],
+  "resources-new-day": [MESTRE],
+  "use-skill": [MESTRE, JOGADOR],
+
+  "save-snapshot": [MESTRE],
+  "list-snapshots": [MESTRE],
+  "restore-snapshot": [MESTRE],
+};
+
+// Códigos de erro devolvidos no ack: { ok: false, error: { code, message } }
+export const SOCKET_ERRORS = {
+  UNAUTHENTICATED: "UNAUTHENTICATED",
+  FORBIDDEN: "FORBIDDEN",
+  NOT_OWNER: "NOT_OWNER",
+  NOT_FOUND: "NOT_FOUND",
+  CONFLICT: "CONFLICT",
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  ROOM_NOT_READY: "ROOM_NOT_READY",
+  INTERNAL: "INTERNAL",
+};
+
+export function socketError(code, message) {
+  return { ok: false, error: { code, message } };
+}
+
+// Devolve o erro se o papel não pode emitir o evento, ou null se pode
+export function checkEvent(user, event) {
+  const allowed = EVENT_PERMISSIONS[event];
+  if (!allowed || allowed.includes(user?.role)) return null;
+
+  const message = user?.role === ESPECTADOR
+    ? "Espectadores não podem alterar a mesa"
+    : `Seu papel (${user?.role}) não permite "${event}"`;
+  return socketError(SOCKET_ERRORS.FORBIDDEN, message);
+}
+
+// Jogadores só mexem nos tokens que são deles; o mestre mexe em todos
+export function checkTokenOwner(user, token) {
+  if (user?.role === MESTRE) return null;
+  if (token?.owner && token.owner === user?.uid) return null;
+  return socketError(SOCKET_ERRORS.NOT_OWNER, "Você só pode mexer nos seus próprios tokens");
+}
+
+// Responde pelo ack quando o cliente mandou um; senão avisa pelo evento `event-error`
+export function reply(socket, event, ack, payload) {
+  if (typeof ack === "function") return ack(payload);
+  if (payload?.ok === false) socket.emit("event-error", { event, ...payload.error });
+}
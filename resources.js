@@ -0,0 +1,311 @@
+import { ROLES } from "./auth.js";
+import { SOCKET_ERRORS, socketError } from "./permissions.js";
+import { fichaId, canWriteFicha } from "./fichas.js";
+import { foldAccents } from "./textAnalysis.js";
+
+/* ===============================
+   ❤️ RECURSOS (VIDA, PE E OUTROS)
+================================ */
+
+// Estado vivo de cada personagem, separado da ficha (que só muda quando o
+// jogador a edita). Coleção `recursos`, mesmo id da ficha (o email do dono):
+//   { pools: { vida: { atual, max }, pe: { atual, max }, ...outros },
+//     dia, usos: { [habilidadeId]: { dia, vezes } }, updatedAt }
+// `dia` é o dia de jogo: o mestre avança com "novo dia" e os limites
+// "uma vez por dia" voltam a valer (usos de dias anteriores não contam).
+//
+// Só o dono e o mestre veem os recursos. O dono só tira do `atual` (dano,
+// gastos); curar, definir o `atual`, mudar `max`, criar ou remover recursos e
+// avançar o dia são do mestre (senão o jogador reencheria o PE que `use-skill`
+// confere).
+
+export const RESOURCES_COLLECTION = "recursos";
+
+export const DEFAULT_POOLS = {
+  vida: { atual: 100, max: 100 },
+  pe: { atual: 100, max: 100 },
+};
+
+const POOL_LIMIT = 10;
+const NOME_POOL = /^[a-z][a-z0-9_]{0,29}$/;
+
+// Como as condições das habilidades chamam cada recurso padrão
+const POOL_ALIASES = {
+  vida: "vida", pv: "vida", hp: "vida", sangue: "vida",
+  pe: "pe", energia: "pe", aura: "pe",
+};
+
+const NUMEROS = { um: 1, uma: 1, dois: 2, duas: 2, tres: 3, quatro: 4, cinco: 5 };
+
+export class ResourceError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+export function createResourceState() {
+  return { pools: structuredClone(DEFAULT_POOLS), dia: 1, usos: {} };
+}
+
+function quantidade(palavra) {
+  return NUMEROS[palavra] ?? Number(palavra);
+}
+
+// 🟢 CUSTOS de uma habilidade: o `custoPE` e o que as condições pedem, ex.:
+//   "Consome 5 pontos de vida do usuário"  -> vida 5
+//   "consome 5 PE adicionais"              -> pe 5
+//   "Gasta 2 cargas"                       -> cargas 2 (se o personagem tiver esse recurso)
+//   "Só pode ser usada uma vez por dia"    -> limite 1 por dia
+export function parseSkillCosts(habilidade, pools = DEFAULT_POOLS) {
+  const custos = {};
+  const somar = (pool, valor) => {
+    if (valor > 0) custos[pool] = (custos[pool] ?? 0) + valor;
+  };
+  somar("pe", Number(habilidade.custoPE) || 0);
+
+  let limite = null;
+  for (const cond of habilidade.condicoes ?? []) {
+    const texto = foldAccents(cond.descricao);
+
+    for (const [, numero, nome] of texto.matchAll(
+      /\b(?:consome|custa|gasta|drena|sacrifica)\s+(\d+)\s+(?:pontos?\s+de\s+)?([a-z_]+)/g
+    )) {
+      const pool = POOL_ALIASES[nome] ?? (Object.hasOwn(pools, nome) ? nome : null);
+      if (pool) somar(pool, Number(numero));
+    }
+
+    const porDia = texto.match(/\b(uma?|duas|dois|tres|quatro|cinco|\d+)\s+(?:vez|vezes|uso|usos)\s+(?:por|ao)\s+dia\b/);
+    if (porDia) {
+      const vezes = quantidade(porDia[1]);
+      limite = { vezes: Math.min(limite?.vezes ?? Infinity, vezes), periodo: "dia" };
+    }
+  }
+
+  return { custos, limite };
+}
+
+function normalizePoolName(raw) {
+  const nome = foldAccents(raw).trim();
+  return POOL_ALIASES[nome] ?? nome;
+}
+
+function inteiro(valor, campo, { min = 0 } = {}) {
+  const numero = Number(valor);
+  if (!Number.isInteger(numero) || numero < min || numero > 100000) {
+    throw new ResourceError(SOCKET_ERRORS.INVALID_PAYLOAD, `${campo} deve ser um inteiro entre ${min} e 100000`);
+  }
+  return numero;
+}
+
+// 🟢 Serviço de recursos. `fichas` (ver fichas.js) fornece as habilidades.
+export function createResourceService({ store, fichas }) {
+  // Uma operação por personagem de cada vez (evita gastar duas vezes o mesmo PE)
+  const filas = new Map();
+  function serial(id, fn) {
+    const anterior = filas.get(id) ?? Promise.resolve();
+    const atual = anterior.then(fn, fn);
+    const fim = atual.catch(() => {});
+    filas.set(id, fim);
+    fim.then(() => {
+      if (filas.get(id) === fim) filas.delete(id);
+    });
+    return atual;
+  }
+
+  function checkAcesso(user, id, { mestre = false } = {}) {
+    if (mestre ? user?.role !== ROLES.MESTRE : !canWriteFicha(user, id)) {
+      throw new ResourceError(
+        SOCKET_ERRORS.FORBIDDEN,
+        mestre ? "Só o mestre pode fazer isso" : "Só o dono do personagem ou o mestre podem fazer isso"
+      );
+    }
+  }
+
+  async function load(id) {
+    const salvo = await store.get(RESOURCES_COLLECTION, id);
+    return salvo ? { ...createResourceState(), ...salvo } : createResourceState();
+  }
+
+  async function save(id, estado) {
+    const gravado = { ...estado, updatedAt: new Date().toISOString() };
+    await store.set(RESOURCES_COLLECTION, id, gravado);
+    return gravado;
+  }
+
+  function requireId(email) {
+    const id = fichaId(email);
+    if (!id) throw new ResourceError(SOCKET_ERRORS.INVALID_PAYLOAD, "Informe a ficha");
+    return id;
+  }
+
+  async function get(email, user) {
+    const id = requireId(email);
+    checkAcesso(user, id);
+    return { ficha: id, ...(await load(id)) };
+  }
+
+  // { recurso, delta } negativo do dono/mestre; { recurso, delta } positivo, { recurso, atual },
+  // { recurso, max } (cria o recurso se não existir) e { recurso, remover } só do mestre
+  function adjust(email, dados = {}, user) {
+    const id = requireId(email);
+    return serial(id, async () => {
+      checkAcesso(user, id);
+      const nome = normalizePoolName(dados.recurso);
+      if (!NOME_POOL.test(nome)) throw new ResourceError(SOCKET_ERRORS.INVALID_PAYLOAD, "Nome de recurso inválido");
+
+      const estado = await load(id);
+      const pool = estado.pools[nome];
+
+      if (dados.remover) {
+        checkAcesso(user, id, { mestre: true });
+        if (nome in DEFAULT_POOLS) throw new ResourceError(SOCKET_ERRORS.INVALID_PAYLOAD, "Vida e PE não podem ser removidos");
+        if (!pool) throw new ResourceError(SOCKET_ERRORS.NOT_FOUND, "Recurso não encontrado");
+        delete estado.pools[nome];
+        return { ficha: id, ...(await save(id, estado)) };
+      }
+
+      if (dados.max !== undefined) {
+        checkAcesso(user, id, { mestre: true });
+        if (!pool && Object.keys(estado.pools).length >= POOL_LIMIT) {
+          throw new ResourceError(SOCKET_ERRORS.INVALID_PAYLOAD, `No máximo ${POOL_LIMIT} recursos por personagem`);
+        }
+        const max = inteiro(dados.max, "max", { min: 1 });
+        estado.pools[nome] = { atual: Math.min(pool?.atual ?? max, max), max };
+      } else if (!pool) {
+        throw new ResourceError(SOCKET_ERRORS.NOT_FOUND, "Recurso não encontrado");
+      }
+
+      const alvo = estado.pools[nome];
+      if (dados.atual !== undefined || Number(dados.delta) > 0) checkAcesso(user, id, { mestre: true });
+      if (dados.atual !== undefined) alvo.atual = inteiro(dados.atual, "atual");
+      if (dados.delta !== undefined) alvo.atual += inteiro(dados.delta, "delta", { min: -100000 });
+      alvo.atual = Math.max(0, Math.min(alvo.max, alvo.atual));
+
+      return { ficha: id, ...(await save(id, estado)) };
+    });
+  }
+
+  // 🟢 NOVO DIA: zera os usos diários; `restaurar` enche todos os recursos
+  function newDay(email, { restaurar = false } = {}, user) {
+    const id = requireId(email);
+    return serial(id, async () => {
+      checkAcesso(user, id, { mestre: true });
+      const estado = await load(id);
+      estado.dia += 1;
+      estado.usos = {};
+      if (restaurar) {
+        for (const pool of Object.values(estado.pools)) pool.atual = pool.max;
+      }
+      return { ficha: id, ...(await save(id, estado)) };
+    });
+  }
+
+  // 🟢 USAR HABILIDADE: confere limite e custos, desconta tudo de uma vez
+  // ou recusa sem mexer em nada
+  function useSkill(email, habilidadeId, user) {
+    const id = requireId(email);
+    return serial(id, async () => {
+      checkAcesso(user, id);
+
+      const ficha = await fichas.get(id);
+      if (!ficha) throw new ResourceError(SOCKET_ERRORS.NOT_FOUND, "Ficha não encontrada");
+      const habilidade = ficha.habilidades.find((h) => String(h.id) === String(habilidadeId));
+      if (!habilidade) throw new ResourceError(SOCKET_ERRORS.NOT_FOUND, "Habilidade não encontrada");
+
+      const estado = await load(id);
+      const { custos, limite } = parseSkillCosts(habilidade, estado.pools);
+
+      const uso = estado.usos[habilidade.id];
+      const vezes = uso?.dia === estado.dia ? uso.vezes : 0;
+      if (limite && vezes >= limite.vezes) {
+        throw new ResourceError(
+          SOCKET_ERRORS.CONFLICT,
+          `${habilidade.nome} já foi usada ${vezes} ${vezes === 1 ? "vez" : "vezes"} hoje (limite ${limite.vezes})`
+        );
+      }
+
+      const faltando = Object.entries(custos)
+        .filter(([pool, valor]) => (estado.pools[pool]?.atual ?? 0) < valor)
+        .map(([pool, valor]) => `${pool} (precisa ${valor}, tem ${estado.pools[pool]?.atual ?? 0})`);
+      if (faltando.length) {
+        throw new ResourceError(SOCKET_ERRORS.CONFLICT, `Recursos insuficientes: ${faltando.join(", ")}`);
+      }
+
+      for (const [pool, valor] of Object.entries(custos)) estado.pools[pool].atual -= valor;
+      estado.usos[habilidade.id] = { dia: estado.dia, vezes: vezes + 1 };
+
+      const gravado = await save(id, estado);
+      return {
+        recursos: { ficha: id, ...gravado },
+        habilidade: { id: habilidade.id, nome: habilidade.nome, dado: habilidade.dado, tipoDano: habilidade.tipoDano },
+        gastos: custos,
+        usosHoje: vezes + 1,
+        limite,
+      };
+    });
+  }
+
+  return { get, adjust, newDay, useSkill };
+}
+
+// 🟢 EVENTOS DE SOCKET
+// O resultado vai pelo `broadcast(sala, evento)`, que só deve entregá-lo ao
+// mestre e ao dono da ficha (ver canWriteFicha):
+//   { acao: "ajuste" | "novo-dia" | "habilidade", ficha, recursos, por, ...extra }
+export function registerResourceHandlers(on, { resources, getRoom, getUser, broadcast }) {
+  const reply = (ack, payload) => {
+    if (typeof ack === "function") ack(payload);
+  };
+  const fail = (ack, err) => {
+    if (err instanceof ResourceError) return reply(ack, socketError(err.code, err.message));
+    console.error("❌ Erro nos recursos:", err);
+    reply(ack, socketError(SOCKET_ERRORS.INTERNAL, err.message));
+  };
+  const por = () => ({ uid: getUser().uid, nome: getUser().name });
+
+  // { ficha }
+  on("resources-get", async (dados, ack) => {
+    try {
+      reply(ack, { ok: true, recursos: await resources.get(dados?.ficha, getUser()) });
+    } catch (err) {
+      fail(ack, err);
+    }
+  });
+
+  // { ficha, recurso, delta | atual | max | remover }
+  on("resources-adjust", async (dados, ack) => {
+    const sala = getRoom().id;
+    try {
+      const recursos = await resources.adjust(dados?.ficha, dados, getUser());
+      await broadcast(sala, { acao: "ajuste", ficha: recursos.ficha, recursos, por: por() });
+      reply(ack, { ok: true, recursos });
+    } catch (err) {
+      fail(ack, err);
+    }
+  });
+
+  // { ficha, restaurar }
+  on("resources-new-day", async (dados, ack) => {
+    const sala = getRoom().id;
+    try {
+      const recursos = await resources.newDay(dados?.ficha, { restaurar: Boolean(dados?.restaurar) }, getUser());
+      await broadcast(sala, { acao: "novo-dia", ficha: recursos.ficha, recursos, por: por() });
+      reply(ack, { ok: true, recursos });
+    } catch (err) {
+      fail(ack, err);
+    }
+  });
+
+  // { ficha, habilidadeId }
+  on("use-skill", async (dados, ack) => {
+    const sala = getRoom().id;
+    try {
+      const { recursos, ...resultado } = await resources.useSkill(dados?.ficha, dados?.habilidadeId, getUser());
+      await broadcast(sala, { acao: "habilidade", ficha: recursos.ficha, recursos, por: por(), ...resultado });
+      reply(ack, { ok: true, recursos, ...resultado });
+    } catch (err) {
+      fail(ack, err);
+    }
+  });
+}
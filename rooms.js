@@ -0,0 +1,195 @@
+import { ROLES } from "./auth.js";
+import { createMusicState } from "./musicState.js";
+import { createCombatState } from "./initiative.js";
+import { hydrateScenes, serializeScenes, activeScene } from "./scenes.js";
+
+/* ===============================
+   🏰 SALAS (CAMPANHAS / MESAS)
+================================ */
+
+// Sala usada quando o cliente não informa nenhuma
+export const DEFAULT_ROOM = "geral";
+
+// Normaliza o nome da sala vindo do cliente (handshake ou evento)
+export function normalizeRoomId(raw) {
+  const id = String(raw ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 64);
+
+  return id || DEFAULT_ROOM;
+}
+
+// Quem pode entrar na sala: `acesso` null deixa entrar qualquer usuário
+// autenticado (salas antigas); uma lista de uids/emails limita a esses
+// usuários. O mestre sempre entra.
+const ACESSO_LIMITE = 200;
+
+export function normalizeRoomAccess(acesso) {
+  if (acesso === null || acesso === undefined) return null;
+  if (!Array.isArray(acesso) || acesso.length > ACESSO_LIMITE) return undefined;
+  const ids = acesso.map((id) => (typeof id === "string" ? id.trim() : ""));
+  if (ids.some((id) => !id || id.length > 200)) return undefined;
+  return [...new Set(ids.map((id) => (id.includes("@") ? id.toLowerCase() : id)))];
+}
+
+export function canJoinRoom(room, user) {
+  if (user?.role === ROLES.MESTRE || room.acesso === null) return true;
+  return room.acesso.includes(user?.uid) || (Boolean(user?.email) && room.acesso.includes(user.email.toLowerCase()));
+}
+
+// Coleção onde o estado de cada sala é persistido
+export const ROOMS_COLLECTION = "salas";
+
+// Parte do estado da sala que vai para o armazenamento (tokens ficam dentro das cenas)
+export function serializeRoom(room) {
+  return {
+    cenas: serializeScenes(room),
+    cenaAtiva: room.cenaAtiva,
+    music: room.music,
+    combat: room.combat,
+    acesso: room.acesso,
+    updatedAt: new Date(room.lastActivity).toISOString(),
+  };
+}
+
+function hydrateRoom(room, dados) {
+  hydrateScenes(room, dados, { historyLimit: room.historyLimit });
+  if (dados?.music?.tracks) room.music = { ...createMusicState(), ...dados.music };
+  if (Array.isArray(dados?.combat?.entradas)) room.combat = { ...createCombatState(), ...dados.combat };
+  room.acesso = normalizeRoomAccess(dados?.acesso) ?? null;
+}
+
+// 🟢 Gerenciador de salas: cria o estado sob demanda, persiste as mudanças
+// no `store` e descarta da memória salas ociosas
+export function createRoomManager({
+  store,
+  idleMs = 30 * 60 * 1000,
+  sweepMs = 60 * 1000,
+  saveDelayMs = 1000,
+  historyLimit = 200,
+} = {}) {
+  const rooms = new Map();
+  const loading = new Map();
+  const pendingSaves = new Map();
+
+  function createRoomState(id) {
+    return {
+      id,
+      // Cenas com tokens, névoa e histórico próprios (ver scenes.js)
+      cenas: new Map(),
+      cenaAtiva: null,
+      music: createMusicState(),
+      combat: createCombatState(),
+      acesso: null,
+      historyLimit,
+      members: new Set(),
+      lastActivity: Date.now(),
+    };
+  }
+
+  // Carrega a sala do armazenamento (uma única leitura mesmo com joins simultâneos)
+  async function get(rawId) {
+    const id = normalizeRoomId(rawId);
+    if (rooms.has(id)) return rooms.get(id);
+    if (loading.has(id)) return loading.get(id);
+
+    const promise = (async () => {
+      const room = createRoomState(id);
+      let dados = null;
+
+      // Se a leitura falhar a sala não entra no cache: hidratar vazia e gravar
+      // depois apagaria os tokens persistidos. O erro sobe para quem pediu.
+      if (store) {
+        try {
+          dados = await store.get(ROOMS_COLLECTION, id);
+        } catch (err) {
+          console.error(`❌ Erro ao carregar sala ${id}:`, err.message);
+          throw err;
+        }
+      }
+      hydrateRoom(room, dados);
+
+      rooms.set(id, room);
+      console.log(`🏰 Sala criada: ${id} (${room.cenas.size} cenas, ${activeScene(room).tokens.length} tokens na ativa)`);
+      return room;
+    })();
+
+    loading.set(id, promise);
+    try {
+      return await promise;
+    } finally {
+      loading.delete(id);
+    }
+  }
+
+  async function save(room) {
+    clearTimeout(pendingSaves.get(room.id));
+    pendingSaves.delete(room.id);
+    if (!store) return;
+
+    try {
+      await store.set(ROOMS_COLLECTION, room.id, serializeRoom(room));
+    } catch (err) {
+      console.error(`❌ Erro ao salvar sala ${room.id}:`, err.message);
+    }
+  }
+
+  function touch(room) {
+    room.lastActivity = Date.now();
+  }
+
+  // Marca a sala como alterada e agenda a gravação (agrupa arrastes seguidos)
+  function changed(room) {
+    touch(room);
+    if (!store || pendingSaves.has(room.id)) return;
+    pendingSaves.set(room.id, setTimeout(() => save(room), saveDelayMs));
+  }
+
+  async function join(rawId, socketId) {
+    const room = await get(rawId);
+    room.members.add(socketId);
+    touch(room);
+    return room;
+  }
+
+  function leave(room, socketId) {
+    if (!room) return;
+    room.members.delete(socketId);
+    touch(room);
+  }
+
+  // Remove da memória salas sem ninguém conectado há mais de `idleMs`
+  async function sweep(now = Date.now()) {
+    for (const [id, room] of rooms) {
+      if (room.members.size === 0 && now - room.lastActivity > idleMs) {
+        rooms.delete(id);
+        if (pendingSaves.has(id)) await save(room);
+        console.log(`🧹 Sala ociosa removida: ${id}`);
+      }
+    }
+  }
+
+  // Grava tudo que estiver pendente (usado ao desligar o servidor)
+  async function flush() {
+    await Promise.all([...pendingSaves.keys()].map((id) => save(rooms.get(id))));
+  }
+
+  const timer = setInterval(sweep, sweepMs);
+  timer.unref();
+
+  return {
+    get,
+    join,
+    leave,
+    touch,
+    changed,
+    save,
+    sweep,
+    flush,
+    has: (rawId) => rooms.has(normalizeRoomId(rawId)),
+    stop: () => clearInterval(timer),
+  };
+}
@@ -0,0 +1,242 @@
+import crypto from "crypto";
+import { ROLES } from "./auth.js";
+import { SOCKET_ERRORS, socketError } from "./permissions.js";
+import { createFogState } from "./visibility.js";
+
+/* ===============================
+   🎬 CENAS (MAPAS DA CAMPANHA)
+================================ */
+
+// Cada sala tem várias cenas, cada uma com fundo, grade, tokens e névoa próprios.
+// `room.cenas` é um Map id -> cena e `room.cenaAtiva` a cena onde a mesa está.
+// Os módulos do grid (grid.js, history.js, visibility.js) recebem a cena no
+// lugar da sala: ela tem `tokens`, `fog`, `fieldVersions` e `history`.
+// Uma cena em memória:
+//   { id, nome, fundo, grade, previa, tokens, fog, fieldVersions, history, historyLimit }
+// `fundo`: null ou { url, largura, altura } (ex.: a resposta de /upload)
+// `previa`: jogadores podem abrir a cena para ver antes de o mestre ativá-la
+
+export const DEFAULT_SCENE = "principal";
+
+// `metrosPorCelula` e `medicao` valem para as medições (ver geometry.js);
+// `encaixar` faz o servidor alinhar os tokens movidos às células
+export const DEFAULT_GRID = {
+  tipo: "quadrado",
+  tamanho: 70,
+  offsetX: 0,
+  offsetY: 0,
+  visivel: true,
+  metrosPorCelula: 1.5,
+  medicao: "euclidiana",
+  encaixar: false,
+};
+
+const GRID_TYPES = ["quadrado", "hex"];
+const MEASURE_MODES = ["euclidiana", "celulas"];
+
+export class SceneError extends Error {}
+
+function normalizeNome(raw, padrao) {
+  const nome = String(raw ?? "").trim().slice(0, 80);
+  return nome || padrao;
+}
+
+function normalizeFundo(fundo) {
+  if (fundo === undefined || fundo === null || fundo === "") return null;
+
+  const dados = typeof fundo === "string" ? { url: fundo } : fundo;
+  let url;
+  try {
+    url = new URL(dados.url);
+  } catch {
+    throw new SceneError("URL do fundo inválida");
+  }
+  if (!["http:", "https:"].includes(url.protocol)) throw new SceneError("URL do fundo inválida");
+
+  const dimensao = (valor) => (Number.isFinite(Number(valor)) && Number(valor) > 0 ? Number(valor) : null);
+  return { url: url.toString(), largura: dimensao(dados.largura), altura: dimensao(dados.altura) };
+}
+
+// Mescla as mudanças de grade sobre a atual, validando cada campo
+function normalizeGrade(grade = {}, base = DEFAULT_GRID) {
+  if (typeof grade !== "object" || grade === null) throw new SceneError("Grade inválida");
+  const nova = { ...base };
+
+  if (grade.tipo !== undefined) {
+    if (!GRID_TYPES.includes(grade.tipo)) throw new SceneError(`Tipo de grade deve ser ${GRID_TYPES.join(" ou ")}`);
+    nova.tipo = grade.tipo;
+  }
+  if (grade.tamanho !== undefined) {
+    const tamanho = Number(grade.tamanho);
+    if (!(tamanho >= 8 && tamanho <= 1000)) throw new SceneError("Tamanho da célula deve ser entre 8 e 1000 pixels");
+    nova.tamanho = tamanho;
+  }
+  for (const campo of ["offsetX", "offsetY"]) {
+    if (grade[campo] === undefined) continue;
+    const valor = Number(grade[campo]);
+    if (!Number.isFinite(valor)) throw new SceneError(`${campo} deve ser um número`);
+    nova[campo] = valor;
+  }
+  if (grade.visivel !== undefined) nova.visivel = Boolean(grade.visivel);
+  if (grade.metrosPorCelula !== undefined) {
+    const metros = Number(grade.metrosPorCelula);
+    if (!(metros > 0 && metros <= 1000)) throw new SceneError("Metros por célula deve ser entre 0 e 1000");
+    nova.metrosPorCelula = metros;
+  }
+  if (grade.medicao !== undefined) {
+    if (!MEASURE_MODES.includes(grade.medicao)) throw new SceneError(`Medição deve ser ${MEASURE_MODES.join(" ou ")}`);
+    nova.medicao = grade.medicao;
+  }
+  if (grade.encaixar !== undefined) nova.encaixar = Boolean(grade.encaixar);
+
+  return nova;
+}
+
+export function createScene({ id, nome, fundo, grade, previa, tokens, fog } = {}, { historyLimit = 200 } = {}) {
+  return {
+    id: id || crypto.randomUUID(),
+    nome: normalizeNome(nome, "Nova cena"),
+    fundo: normalizeFundo(fundo),
+    grade: normalizeGrade(grade),
+    previa: Boolean(previa),
+    tokens: Array.isArray(tokens) ? tokens : [],
+    fog: Array.isArray(fog?.regioes) ? { ...createFogState(), ...fog } : createFogState(),
+    // Só em memória (ver grid.js e history.js)
+    fieldVersions: new Map(),
+    history: [],
+    historyLimit,
+  };
+}
+
+export function activeScene(room) {
+  return room.cenas.get(room.cenaAtiva);
+}
+
+// Canal do Socket.IO com quem está olhando a cena
+export function sceneChannel(room, cena) {
+  return `${room.id}::${cena.id}`;
+}
+
+// Parte persistida de cada cena
+export function serializeScenes(room) {
+  return [...room.cenas.values()].map(({ id, nome, fundo, grade, previa, tokens, fog }) => ({
+    id, nome, fundo, grade, previa, tokens, fog,
+  }));
+}
+
+// Carrega as cenas salvas; salas do formato antigo (só `tokens`) viram a cena principal
+export function hydrateScenes(room, dados, opcoes) {
+  const salvas = Array.isArray(dados?.cenas) && dados.cenas.length > 0
+    ? dados.cenas
+    : [{ id: DEFAULT_SCENE, nome: "Principal", tokens: dados?.tokens, fog: dados?.fog }];
+
+  room.cenas = new Map();
+  for (const salva of salvas) {
+    try {
+      const cena = createScene(salva, opcoes);
+      room.cenas.set(cena.id, cena);
+    } catch (err) {
+      console.error(`❌ Cena ${salva.id} ignorada na sala ${room.id}:`, err.message);
+    }
+  }
+
+  if (room.cenas.size === 0) room.cenas.set(DEFAULT_SCENE, createScene({ id: DEFAULT_SCENE, nome: "Principal" }, opcoes));
+  room.cenaAtiva = room.cenas.has(dados?.cenaAtiva) ? dados.cenaAtiva : room.cenas.keys().next().value;
+}
+
+// Resumo para listas e para o `init` (sem os tokens)
+export function sceneSummary(room, cena) {
+  return {
+    id: cena.id,
+    nome: cena.nome,
+    fundo: cena.fundo,
+    grade: cena.grade,
+    previa: cena.previa,
+    ativa: room.cenaAtiva === cena.id,
+    totalTokens: cena.tokens.length,
+  };
+}
+
+// Jogadores só abrem a cena ativa ou as liberadas para prévia
+export function canViewScene(room, cena, user) {
+  if (!cena) return false;
+  return user?.role === ROLES.MESTRE || room.cenaAtiva === cena.id || cena.previa;
+}
+
+// Em prévia o jogador só olha; alterações valem apenas na cena ativa
+export function checkSceneEdit(room, cena, user) {
+  if (user?.role === ROLES.MESTRE || room.cenaAtiva === cena.id) return null;
+  return socketError(SOCKET_ERRORS.FORBIDDEN, "Essa cena está em prévia: só o mestre pode alterá-la");
+}
+
+export function listScenes(room, user) {
+  return [...room.cenas.values()]
+    .filter((cena) => canViewScene(room, cena, user))
+    .map((cena) => sceneSummary(room, cena));
+}
+
+function sceneNotFound() {
+  return socketError(SOCKET_ERRORS.NOT_FOUND, "Cena não encontrada");
+}
+
+// Converte SceneError em erro de payload; o resto sobe
+function attempt(fn) {
+  try {
+    return fn();
+  } catch (err) {
+    if (err instanceof SceneError) return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, err.message);
+    throw err;
+  }
+}
+
+// 🟢 CRIAR: { nome, fundo, grade, previa, copiarDe } (copiarDe duplica tokens e névoa de outra cena)
+export function addScene(room, dados = {}) {
+  return attempt(() => {
+    const origem = dados.copiarDe !== undefined ? room.cenas.get(dados.copiarDe) : null;
+    if (dados.copiarDe !== undefined && !origem) return sceneNotFound();
+
+    const cena = createScene({
+      nome: dados.nome,
+      fundo: dados.fundo !== undefined ? dados.fundo : origem?.fundo,
+      grade: { ...origem?.grade, ...dados.grade },
+      previa: dados.previa,
+      tokens: origem ? structuredClone(origem.tokens) : [],
+      fog: origem ? structuredClone(origem.fog) : undefined,
+    }, { historyLimit: activeScene(room).historyLimit });
+
+    room.cenas.set(cena.id, cena);
+    return { ok: true, cena };
+  });
+}
+
+// 🟢 EDITAR: { id, nome, fundo, grade, previa }
+export function updateScene(room, dados = {}) {
+  const cena = room.cenas.get(dados.id);
+  if (!cena) return sceneNotFound();
+
+  return attempt(() => {
+    const nome = dados.nome !== undefined ? normalizeNome(dados.nome, cena.nome) : cena.nome;
+    const fundo = dados.fundo !== undefined ? normalizeFundo(dados.fundo) : cena.fundo;
+    const grade = dados.grade !== undefined ? normalizeGrade(dados.grade, cena.grade) : cena.grade;
+
+    Object.assign(cena, { nome, fundo, grade });
+    if (dados.previa !== undefined) cena.previa = Boolean(dados.previa);
+    return { ok: true, cena };
+  });
+}
+
+export function removeScene(room, id) {
+  if (!room.cenas.has(id)) return sceneNotFound();
+  if (room.cenaAtiva === id) {
+    return socketError(SOCKET_ERRORS.CONFLICT, "Ative outra cena antes de remover esta");
+  }
+  room.cenas.delete(id);
+  return { ok: true };
+}
+
+export function activateScene(room, id) {
+  const cena = room.cenas.get(id);
+  if (!cena) return sceneNotFound();
+  room.cenaAtiva = cena.id;
+  return { ok: true, cena };
+}
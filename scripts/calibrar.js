@@ -0,0 +1,98 @@
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+import { calibrate, TRAINING_COLLECTION } from "../calibration.js";
+import { createRulesetService } from "../skillRules.js";
+import { createStore, createFirestoreStore } from "../store.js";
+
+/* ===============================
+   🎯 CALIBRAÇÃO OFFLINE DAS REGRAS
+================================ */
+
+// Uso: npm run calibrar -- [opções]
+//   --entrada arquivo.json   avaliações exportadas (lista ou { avaliacoes: [...] },
+//                            como devolve /api/consultar-avaliacoes); sem ela, lê
+//                            `treinamentoIA` do Firestore (FIREBASE_SERVICE_ACCOUNT)
+//   --regras arquivo.json    regras de partida; sem ela, a versão ativa do store
+//                            (mesmas STORE_DRIVER/DATA_DIR do servidor)
+//   --saida arquivo.json     grava { candidata, relatorio } nesse arquivo
+//   --rodadas N, --min-amostras N
+// A candidata não é ativada: revise o relatório e envie com PUT /api/avaliacao/regras.
+
+dotenv.config();
+
+const { values: opcoes } = parseArgs({
+  options: {
+    entrada: { type: "string" },
+    regras: { type: "string" },
+    saida: { type: "string" },
+    rodadas: { type: "string", default: "10" },
+    "min-amostras": { type: "string", default: "3" },
+  },
+});
+
+const readJson = (arquivo) => JSON.parse(fs.readFileSync(arquivo, "utf8"));
+
+let db = null;
+async function firestoreDb() {
+  if (!db) {
+    const { initializeApp, cert } = await import("firebase-admin/app");
+    const { getFirestore } = await import("firebase-admin/firestore");
+    initializeApp({ credential: cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)) });
+    db = getFirestore();
+  }
+  return db;
+}
+
+async function loadTraining() {
+  if (opcoes.entrada) {
+    const dados = readJson(opcoes.entrada);
+    return Array.isArray(dados) ? dados : dados.avaliacoes ?? [];
+  }
+  return createFirestoreStore({ db: await firestoreDb() }).list(TRAINING_COLLECTION);
+}
+
+async function loadRuleset() {
+  if (opcoes.regras) return readJson(opcoes.regras);
+
+  const driver = process.env.STORE_DRIVER || "file";
+  const store = createStore({
+    driver,
+    dir: process.env.DATA_DIR || path.join(process.cwd(), "data"),
+    db: driver === "firestore" ? await firestoreDb() : undefined,
+  });
+  return createRulesetService({ store }).current();
+}
+
+const pct = (valor) => (valor === null ? "-" : `${Math.round(valor * 100)}%`);
+
+try {
+  const regras = await loadRuleset();
+  const { candidata, relatorio } = calibrate(await loadTraining(), regras, {
+    rodadas: Number(opcoes.rodadas),
+    minAmostras: Number(opcoes["min-amostras"]),
+  });
+
+  console.log(`🎯 ${relatorio.amostras} avaliações (${relatorio.ignoradas.length} ignoradas), regras base v${relatorio.base}`);
+  console.log(`   concordância: ${pct(relatorio.antes.acuracia)} -> ${pct(relatorio.depois.acuracia)}`);
+  if (relatorio.validacao) {
+    console.log(
+      `   validação (${relatorio.validacao.amostras} separadas): ` +
+      `${pct(relatorio.validacao.antes.acuracia)} -> ${pct(relatorio.validacao.depois.acuracia)}`
+    );
+  }
+  for (const { parametro, antes, depois } of relatorio.mudancas) {
+    console.log(`   ${parametro}: ${antes} -> ${depois}`);
+  }
+
+  if (opcoes.saida) {
+    fs.writeFileSync(opcoes.saida, JSON.stringify({ candidata, relatorio }, null, 2));
+    console.log(`💾 Candidata e relatório gravados em ${opcoes.saida}`);
+  }
+  process.exit(0);
+} catch (err) {
+  console.error("❌ Erro na calibração:", err.message);
+  if (err.detalhes) console.error(err.detalhes);
+  process.exit(1);
+}
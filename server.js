@@ -1,20 +1,65 @@
 import express from "express";
 import http from "http";
 import { Server } from "socket.io";
-import multer from "multer";
 import path from "path";
 import fs from "fs";
+import crypto from "crypto";
 import cors from "cors";
 import axios from "axios";
-import FormData from "form-data";
 import dotenv from "dotenv";
 import { fileURLToPath } from "url";
 import { AccessToken } from "livekit-server-sdk";
+import {
+  createRoomManager, normalizeRoomId, normalizeRoomAccess, canJoinRoom, DEFAULT_ROOM, ROOMS_COLLECTION,
+} from "./rooms.js";
+import { rollDice, DiceError } from "./dice.js";
+import { createStore, createFirestoreStore } from "./store.js";
+import { normalizePlayPayload, playTrack, stopTrack, stopAll, setVolume, musicSnapshot } from "./musicState.js";
+import { createMediaStorage } from "./mediaStorage.js";
+import { createAuth, ROLES, isValidRole } from "./auth.js";
+import { SOCKET_ERRORS, checkEvent, socketError, reply } from "./permissions.js";
+import { addToken, patchToken, updateToken, deleteToken, reorderTokens, findToken } from "./grid.js";
+import { recordAdd, recordPatch, recordDelete, recordReorder, undo, redo, queryHistory } from "./history.js";
+import { createSnapshotService, createSnapshotRouter, registerSnapshotHandlers } from "./snapshots.js";
+import { measureBetween, queryArea } from "./geometry.js";
+import {
+  activeScene,
+  sceneChannel,
+  sceneSummary,
+  listScenes,
+  canViewScene,
+  checkSceneEdit,
+  addScene,
+  updateScene,
+  removeScene,
+  activateScene,
+} from "./scenes.js";
+import { createChatService, registerChatHandlers, canSeeMessage } from "./chat.js";
+import { registerInitiativeHandlers, combatSnapshot, combatEventFor } from "./initiative.js";
+import {
+  canSeeToken,
+  visibleTokens,
+  tokenDelta,
+  fogSnapshot,
+  addFogRegion,
+  clearFogRegion,
+  coverFogRegion,
+  removeFogRegion,
+  resetFog,
+  VISIBILITY_GM,
+} from "./visibility.js";
 // 🟢 ADICIONE ESTAS LINHAS NO TOPO (junto com os outros imports)
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegStatic from 'ffmpeg-static';
 import ffprobeStatic from 'ffprobe-static';
-import { PassThrough } from 'stream';
+import { resolveAudioOptions, runAudioPipeline } from './audioPipeline.js';
+import { createMusicLibrary, createMusicLibraryRouter } from './musicLibrary.js';
+import { createFichaService, createFichaRouter, canWriteFicha } from './fichas.js';
+import { createResourceService, registerResourceHandlers } from './resources.js';
+import { createRulesetService, createSkillRulesRouter } from './skillRules.js';
+import { createCalibrationRouter, TRAINING_COLLECTION } from './calibration.js';
+import { createImageVariants } from './imageVariants.js';
+import { createUploadGuard, createQuotaService, resolveUploadLimits } from './uploadValidation.js';
 // 🟢 ADICIONE ESTES IMPORTS NO TOPO DO ARQUIVO
 import { initializeApp, cert } from 'firebase-admin/app';
 import { getAuth } from 'firebase-admin/auth';
@@ -35,6 +80,13 @@ ffmpeg.setFfmpegPath(ffmpegStatic);
 ffmpeg.setFfprobePath(ffprobeStatic.path);
 
 dotenv.config();
+
+// 🔐 Verificação dos ID tokens do Firebase; papéis vêm das custom claims
+const auth = createAuth({
+  adminAuth,
+  mestreEmails: (process.env.MESTRE_EMAILS || "").split(","),
+});
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -75,206 +127,161 @@ const io = new Server(server, {
 });
 
 /* ===============================
-   📤 CONFIGURAÇÃO UPLOAD
+   💾 ARMAZENAMENTO DE DADOS
 ================================ */
 
-const uploadsDir = path.join(process.cwd(), "uploads_tmp");
-if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir);
+// STORE_DRIVER=file (padrão, grava em DATA_DIR) ou firestore
+const store = createStore({
+  driver: process.env.STORE_DRIVER || "file",
+  dir: process.env.DATA_DIR || path.join(process.cwd(), "data"),
+  db: adminDb,
+});
 
-const storage = multer.memoryStorage();
-const upload = multer({ storage });
+// Coleções que o frontend também lê ou escreve (fichas, treinamentoIA) ficam sempre no Firestore
+const firestore = createFirestoreStore({ db: adminDb });
 
-// 🟢 FUNÇÃO PARA UPLOAD DE IMAGEM (IMGBB)
-async function uploadToImgBB(file) {
-  const IMGBB_KEY = process.env.IMGBB_API_KEY;
-  if (!IMGBB_KEY) throw new Error("IMGBB_API_KEY não configurada");
+/* ===============================
+   📤 CONFIGURAÇÃO UPLOAD
+================================ */
 
-  const form = new FormData();
-  form.append("key", IMGBB_KEY);
-  form.append("image", file.buffer.toString("base64"));
+const uploadsDir = path.join(process.cwd(), "uploads_tmp");
+if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir);
 
-  const resp = await axios.post("https://api.imgbb.com/1/upload", form, {
-    headers: form.getHeaders(),
-  });
+// 🧪 Limites por tipo (UPLOAD_MAX_IMAGE_MB, UPLOAD_MAX_AUDIO_MB) e cota por usuário (UPLOAD_QUOTA_MB)
+const uploadQuota = createQuotaService({
+  store,
+  quotaBytes: (Number(process.env.UPLOAD_QUOTA_MB) || 500) * 1024 * 1024,
+});
+const acceptUpload = createUploadGuard({
+  limits: resolveUploadLimits(process.env),
+  quota: uploadQuota,
+});
 
-  return resp.data?.data?.url;
-}
+// 🗂️ Onde cada tipo de mídia é guardado (IMAGE_STORAGE, AUDIO_STORAGE, MEDIA_STORAGE)
+const mediaUploadsDir = path.join(__dirname, "uploads");
+const media = createMediaStorage(process.env, { uploadsDir: mediaUploadsDir });
 
-// 🟢 FUNÇÃO PARA UPLOAD DE ÁUDIO (CLOUDINARY)
-async function uploadToCloudinary(file) {
-  try {
-    console.log('📤 Iniciando upload para Cloudinary...');
-    console.log('📤 Nome do arquivo:', file.originalname);
-    console.log('📤 MIME type:', file.mimetype);
-    console.log('📤 Tamanho:', file.size, 'bytes');
-    
-    const formData = new FormData();
-    
-    formData.append("file", file.buffer, {
-      filename: file.originalname,
-      contentType: file.mimetype
-    });
-    formData.append("upload_preset", "rpg_musicas");
-    formData.append("resource_type", "auto");
-    
-    console.log('📤 Enviando para Cloudinary com preset:', 'requiem');
-    
-    const resp = await axios.post(
-      "https://api.cloudinary.com/v1_1/dwaxw0l83/auto/upload",
-      formData,
-      { 
-        headers: { 
-          ...formData.getHeaders(),
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity
-      }
-    );
-    
-    console.log('✅ Resposta Cloudinary completa:', JSON.stringify(resp.data, null, 2));
-    
-    if (resp.data?.secure_url) {
-      console.log('✅ URL segura:', resp.data.secure_url);
-      return resp.data.secure_url;
-    } else if (resp.data?.url) {
-      console.log('✅ URL:', resp.data.url);
-      return resp.data.url;
-    } else {
-      console.error('❌ Resposta sem URL:', resp.data);
-      throw new Error("Cloudinary não retornou URL");
-    }
-  } catch (err) {
-    console.error('❌ Erro detalhado Cloudinary:', {
-      message: err.message,
-      response: err.response?.data,
-      status: err.response?.status,
-      statusText: err.response?.statusText
-    });
-    throw err;
-  }
-}
+// Arquivos do driver local são servidos direto pelo backend
+app.use("/uploads", (req, res, next) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  next();
+});
 
-// 🟢 FUNÇÃO PARA COMPRIMIR ÁUDIO (DEIXE APENAS UMA!)
-async function compressAudio(buffer, originalName) {
-  return new Promise((resolve, reject) => {
-    const inputStream = new PassThrough();
-    inputStream.end(buffer);
-    
-    const outputBuffers = [];
-    const outputStream = new PassThrough();
-    
-    outputStream.on('data', chunk => outputBuffers.push(chunk));
-    outputStream.on('end', () => resolve(Buffer.concat(outputBuffers)));
-    outputStream.on('error', reject);
-    
-    console.log('🎵 Comprimindo áudio...');
-    
-    ffmpeg(inputStream)
-      .audioBitrate('64k')
-      .audioChannels(1)
-      .audioFrequency(22050)
-      .format('mp3')
-      .on('start', (cmd) => console.log('🎵 FFmpeg iniciado'))
-      .on('end', () => console.log('✅ Compressão concluída'))
-      .on('error', (err) => {
-        console.error('❌ Erro FFmpeg:', err);
-        reject(err);
-      })
-      .pipe(outputStream);
-  });
-}
+app.use("/uploads", express.static(mediaUploadsDir));
 
 // 🟢🟢🟢 AQUI! COLOQUE A ROTA /upload AGORA! 🟢🟢🟢
 // 🟢🟢🟢 AQUI! COLOQUE A ROTA /upload AGORA! 🟢🟢🟢
-app.post("/upload", upload.single("file"), async (req, res) => {
+app.post("/upload", auth.requireAuth, acceptUpload(["image", "audio"]), async (req, res) => {
   console.log("=".repeat(50));
   console.log("📤 NOVO UPLOAD RECEBIDO");
   console.log("=".repeat(50));
   
   try {
-    if (!req.file) {
-      console.error("❌ NENHUM ARQUIVO RECEBIDO");
-      return res.status(400).json({ error: "Nenhum arquivo enviado" });
-    }
-
+    // Arquivo já validado: tipo real detectado pelo conteúdo, tamanho e cota conferidos
     const file = req.file;
     console.log("📤 Arquivo recebido:", {
       nome: file.originalname,
-      mime: file.mimetype,
+      mime: req.upload.mime,
+      usuario: req.user.email || req.user.uid,
       tamanhoOriginal: (file.size / 1024 / 1024).toFixed(2) + 'MB'
     });
     
-    const isAudio = file.mimetype.startsWith('audio/');
+    const isAudio = req.upload.kind === 'audio';
+    const baseUrl = `${req.protocol}://${req.get("host")}`;
     
     if (isAudio) {
+      // 🎚️ Normalização, corte de silêncio e perfil vêm do env ou do formulário
+      let audioOptions;
+      try {
+        audioOptions = resolveAudioOptions(process.env, req.body);
+      } catch (optionsErr) {
+        return res.status(400).json({ error: optionsErr.message });
+      }
+      
       let audioBuffer = file.buffer;
+      let peaks = null;
+      // Sem o pipeline o original vai como veio: extensão e tipo do arquivo enviado
+      let ext = req.upload.ext;
+      let contentType = req.upload.mime;
       
-      // 🟢 COMPRIME SE FOR MAIOR QUE 5MB
-      if (file.size > 5 * 1024 * 1024) {
-        console.log('🎵 Arquivo > 5MB, comprimindo...');
-        try {
-          audioBuffer = await compressAudio(file.buffer, file.originalname);
-          console.log('✅ Compressão OK! Tamanho final:', (audioBuffer.length / 1024 / 1024).toFixed(2) + 'MB');
-        } catch (compressErr) {
-          console.error('❌ Erro na compressão, enviando original:', compressErr);
-          audioBuffer = file.buffer;
-        }
+      try {
+        ({ audio: audioBuffer, peaks } = await runAudioPipeline(file.buffer, audioOptions));
+        ext = '.mp3';
+        contentType = 'audio/mp3';
+        console.log('✅ Pipeline OK! Tamanho final:', (audioBuffer.length / 1024 / 1024).toFixed(2) + 'MB');
+      } catch (pipelineErr) {
+        console.error('❌ Erro no pipeline de áudio, enviando original:', pipelineErr);
+        audioBuffer = file.buffer;
       }
       
-      console.log('🎵 Enviando para Cloudinary...');
-      
-      const formData = new FormData();
-      formData.append("file", audioBuffer, {
-        filename: file.originalname.replace(/\.[^.]+$/, '.mp3'),
-        contentType: 'audio/mp3'
+      const baseName = file.originalname.replace(/\.[^.]+$/, '');
+      const { url } = await media.save("audio", audioBuffer, {
+        filename: baseName + ext,
+        contentType,
+        baseUrl,
       });
       
-      // 🟢🟢🟢 ADICIONE ESTAS DUAS LINHAS! 🟢🟢🟢
-      formData.append("upload_preset", "rpg_musicas");
-      formData.append("resource_type", "auto");
-      
-      const resp = await axios.post(
-        "https://api.cloudinary.com/v1_1/dwaxw0l83/auto/upload",
-        formData,
-        { 
-          headers: formData.getHeaders(),
-          timeout: 60000
-        }
-      );
+      // Picos da forma de onda vão junto, como JSON
+      let peaksUrl = null;
+      if (peaks) {
+        ({ url: peaksUrl } = await media.save("data", Buffer.from(JSON.stringify(peaks)), {
+          filename: baseName + '.peaks.json',
+          contentType: 'application/json',
+          baseUrl,
+        }));
+      }
       
-      const url = resp.data?.secure_url || resp.data?.url;
+      await uploadQuota.commit(req.upload.reserva, audioBuffer.length + (peaks ? JSON.stringify(peaks).length : 0));
       
-      if (url) {
-        console.log("✅✅✅ SUCESSO! URL:", url);
-        return res.json({ url });
-      } else {
-        throw new Error("Cloudinary não retornou URL");
-      }
+      console.log("✅✅✅ SUCESSO! URL:", url);
+      return res.json({
+        url,
+        peaksUrl,
+        duracao: peaks?.duration ?? null,
+        perfil: audioOptions.perfil,
+      });
       
     } else {
-      // 🟢 IMAGEM
-      console.log('🖼️ Enviando imagem para ImgBB...');
+      // 🟢 IMAGEM: gera as variantes em WebP (sem EXIF/GPS) e salva todas
+      console.log('🖼️ Gerando variantes da imagem...');
       
-      const IMGBB_KEY = process.env.IMGBB_API_KEY;
-      if (!IMGBB_KEY) {
-        throw new Error("IMGBB_API_KEY não configurada");
+      let variantes;
+      try {
+        ({ variantes } = await createImageVariants(file.buffer, {
+          quality: Number(process.env.IMAGE_WEBP_QUALITY) || 82,
+        }));
+      } catch (imageErr) {
+        console.error('❌ Imagem inválida:', imageErr.message);
+        return res.status(400).json({ error: "Arquivo de imagem inválido ou não suportado" });
       }
       
-      const form = new FormData();
-      form.append("key", IMGBB_KEY);
-      form.append("image", file.buffer.toString("base64"));
+      const baseName = file.originalname.replace(/\.[^.]+$/, '');
+      const salvas = await Promise.all(
+        Object.entries(variantes).map(async ([nome, variante]) => {
+          const { url } = await media.save("image", variante.buffer, {
+            filename: `${baseName}-${nome}.webp`,
+            contentType: 'image/webp',
+            baseUrl,
+          });
+          return [nome, { url, largura: variante.largura, altura: variante.altura }];
+        })
+      );
       
-      const resp = await axios.post("https://api.imgbb.com/1/upload", form, {
-        headers: form.getHeaders(),
-      });
+      await uploadQuota.commit(
+        req.upload.reserva,
+        Object.values(variantes).reduce((total, v) => total + v.buffer.length, 0)
+      );
       
-      const url = resp.data?.data?.url;
-      if (url) {
-        console.log("✅ Upload ImgBB sucesso:", url);
-        res.json({ url });
-      } else {
-        throw new Error("ImgBB não retornou URL");
-      }
+      const urls = Object.fromEntries(salvas);
+      console.log("✅ Upload de imagem sucesso:", urls.original.url);
+      
+      // `url` continua sendo a imagem inteira para os clientes antigos
+      res.json({
+        url: urls.original.url,
+        largura: urls.original.largura,
+        altura: urls.original.altura,
+        variantes: Object.fromEntries(salvas.map(([nome, v]) => [nome, v.url])),
+      });
     }
   } catch (err) {
     console.error("=".repeat(50));
@@ -347,61 +354,774 @@ app.post("/livekit/token", async (req, res) => {
   }
 });
 
+/* ===============================
+   💾 PERSISTÊNCIA DO GRID
+================================ */
+
+// Cada campanha/mesa tem sua própria sala com tokens independentes
+const rooms = createRoomManager({
+  store,
+  idleMs: (Number(process.env.ROOM_IDLE_MINUTES) || 30) * 60 * 1000,
+  historyLimit: Number(process.env.HISTORY_LIMIT) || 200,
+});
+
+// Importa o antigo tokens.json para a sala padrão na primeira inicialização
+async function importLegacyTokens() {
+  const legacyFile = path.join(__dirname, "tokens.json");
+  if (!fs.existsSync(legacyFile)) return;
+
+  try {
+    if (await store.get(ROOMS_COLLECTION, DEFAULT_ROOM)) return;
+
+    const legacyTokens = JSON.parse(fs.readFileSync(legacyFile, "utf8"));
+    if (!Array.isArray(legacyTokens)) return;
+
+    const room = await rooms.get(DEFAULT_ROOM);
+    activeScene(room).tokens = legacyTokens;
+    await rooms.save(room);
+    console.log(`📥 ${legacyTokens.length} tokens importados de tokens.json`);
+  } catch (err) {
+    console.error("❌ Erro ao importar tokens.json:", err.message);
+  }
+}
+
+const snapshots = createSnapshotService({ store, rooms });
+
+// Segundo argumento do `init`: estado da sala e da cena além dos tokens (clientes antigos ignoram)
+function roomState(room, cena, user) {
+  return {
+    room: room.id,
+    cena: sceneSummary(room, cena),
+    music: musicSnapshot(room.music),
+    combat: combatSnapshot(room, user),
+    fog: fogSnapshot(cena, user),
+  };
+}
+
+// 🎬 Cada socket olha uma cena por vez (`socket.data.cena`) e fica no canal dela;
+// funciona tanto com o socket local quanto com os devolvidos por fetchSockets
+function showScene(s, room, cena) {
+  if (s.data.cena && s.data.cena !== cena.id) s.leave(sceneChannel(room, { id: s.data.cena }));
+  s.data.cena = cena.id;
+  s.join(sceneChannel(room, cena));
+  s.emit("init", visibleTokens(cena, s.data.user), roomState(room, cena, s.data.user));
+}
+
+async function broadcastScenes(room) {
+  for (const s of await io.in(room.id).fetchSockets()) {
+    s.emit("scenes", listScenes(room, s.data.user));
+  }
+}
+
+// 👁️ Tokens nunca vão inteiros para a sala: cada socket recebe só o que pode
+// ver (ver visibility.js), então tudo passa por aqui em vez de `io.emit`
+async function broadcastInit(room, cena) {
+  for (const s of await io.in(sceneChannel(room, cena)).fetchSockets()) {
+    s.emit("init", visibleTokens(cena, s.data.user), roomState(room, cena, s.data.user));
+  }
+}
+
+// Um token da cena mudou de `anterior` para `atual` (null ao criar/remover)
+async function broadcastTokenChange(room, cena, anterior, atual, { exceto } = {}) {
+  for (const s of await io.in(sceneChannel(room, cena)).fetchSockets()) {
+    if (s.id === exceto) continue;
+    const delta = tokenDelta(cena, anterior, atual, s.data.user);
+    if (delta) s.emit(delta.event, delta.payload);
+  }
+}
+
+async function broadcastOrder(room, cena) {
+  for (const s of await io.in(sceneChannel(room, cena)).fetchSockets()) {
+    s.emit("reorder", visibleTokens(cena, s.data.user));
+  }
+}
+
+// Efeitos de desfazer/refazer; `antes` é o mapa id -> token de antes da operação
+function broadcastGridEffect(room, cena, { event, payload }, antes) {
+  switch (event) {
+    case "addToken":
+      return broadcastTokenChange(room, cena, antes.get(payload.id) ?? null, payload);
+    case "updateToken":
+      return broadcastTokenChange(room, cena, antes.get(payload.id) ?? null, payload);
+    case "deleteToken":
+      return broadcastTokenChange(room, cena, antes.get(payload) ?? null, null);
+    case "reorder":
+      return broadcastOrder(room, cena);
+  }
+}
+
+// Mudança que pode mostrar/esconder vários tokens de uma vez (névoa):
+// compara o que cada socket via antes e depois e manda só a diferença
+async function applyVisibilityChange(room, cena, mudar) {
+  const sockets = await io.in(sceneChannel(room, cena)).fetchSockets();
+  const antes = sockets.map((s) => new Set(visibleTokens(cena, s.data.user).map((t) => t.id)));
+
+  const result = mudar();
+  if (!result.ok) return result;
+
+  sockets.forEach((s, i) => {
+    for (const token of cena.tokens) {
+      const via = antes[i].has(token.id);
+      const ve = canSeeToken(cena, token, s.data.user);
+      if (ve && !via) s.emit("addToken", token);
+      if (via && !ve) s.emit("deleteToken", token.id);
+    }
+    s.emit("fog", fogSnapshot(cena, s.data.user));
+  });
+
+  rooms.changed(room);
+  if (cena === activeScene(room) && room.combat.entradas.length > 0) {
+    await broadcastCombat(room, "visibility");
+  }
+  return result;
+}
+
+// Depois de restaurar um snapshot todos na cena dele recebem o grid e a névoa completos
+function broadcastRestore(room, cena) {
+  broadcastInit(room, cena);
+}
+
+// ⚔️ Toda mudança na iniciativa vai para a sala com o estado completo
+// (sem os combatentes ligados a tokens que cada um não vê)
+async function broadcastCombat(room, acao, extra = {}) {
+  rooms.changed(room);
+  for (const s of await io.in(room.id).fetchSockets()) {
+    s.emit("combat", combatEventFor(room, s.data.user, acao, extra));
+  }
+}
+
+// Snapshots são ferramenta do mestre
+app.use("/api/salas/:sala/snapshots", auth.requireMestre);
+app.use(createSnapshotRouter({ snapshots, onRestore: broadcastRestore }));
+
+// 🔑 Quem pode entrar na sala: { acesso: null } (qualquer usuário) ou
+// { acesso: ["uid", "email", ...] }. Quem perde o acesso é desconectado.
+app.get("/api/salas/:sala/acesso", auth.requireMestre, async (req, res) => {
+  try {
+    const room = await rooms.get(req.params.sala);
+    res.json({ sala: room.id, acesso: room.acesso });
+  } catch (err) {
+    console.error("❌ Erro ao ler acesso da sala:", err);
+    res.status(500).json({ error: "Erro ao ler acesso da sala", message: err.message });
+  }
+});
+
+app.put("/api/salas/:sala/acesso", auth.requireMestre, async (req, res) => {
+  try {
+    const acesso = normalizeRoomAccess(req.body?.acesso);
+    if (acesso === undefined) {
+      return res.status(400).json({ error: "acesso deve ser null ou uma lista de uids/emails" });
+    }
+
+    const room = await rooms.get(req.params.sala);
+    room.acesso = acesso;
+    rooms.changed(room);
+    for (const s of await io.in(room.id).fetchSockets()) {
+      if (!canJoinRoom(room, s.data.user)) s.disconnect(true);
+    }
+    res.json({ sala: room.id, acesso });
+  } catch (err) {
+    console.error("❌ Erro ao alterar acesso da sala:", err);
+    res.status(500).json({ error: "Erro ao alterar acesso da sala", message: err.message });
+  }
+});
+
+// ↩️ Histórico de operações do grid (quem moveu ou deletou o quê), da cena
+// ativa ou da pedida em ?cena=
+app.get("/api/salas/:sala/historico", auth.requireMestre, async (req, res) => {
+  try {
+    const room = await rooms.get(req.params.sala);
+    const cena = req.query.cena ? room.cenas.get(req.query.cena) : activeScene(room);
+    if (!cena) return res.status(404).json({ error: "Cena não encontrada" });
+
+    res.json({
+      historico: queryHistory(cena, {
+        limit: req.query.limit,
+        autor: req.query.autor,
+        tokenId: req.query.tokenId,
+      }),
+    });
+  } catch (err) {
+    console.error("❌ Erro ao consultar histórico:", err);
+    res.status(500).json({ error: "Erro ao consultar histórico", message: err.message });
+  }
+});
+
+// 📐 Medições na cena ativa (ou na pedida em `cena`), só com tokens que o usuário vê
+async function sceneFromRequest(req, res) {
+  const room = await rooms.get(req.params.sala);
+  if (!canJoinRoom(room, req.user)) {
+    res.status(403).json({ error: "Você não tem acesso a esta sala" });
+    return null;
+  }
+  const cenaId = req.query.cena ?? req.body?.cena;
+  const cena = cenaId ? room.cenas.get(cenaId) : activeScene(room);
+  if (!canViewScene(room, cena, req.user)) {
+    res.status(404).json({ error: "Cena não encontrada" });
+    return null;
+  }
+  return cena;
+}
+
+function sendGeometry(res, result) {
+  if (result.ok) {
+    const { ok, ...dados } = result;
+    return res.json(dados);
+  }
+  const status = result.error.code === SOCKET_ERRORS.NOT_FOUND ? 404 : 400;
+  res.status(status).json({ error: result.error.message });
+}
+
+// GET /api/salas/:sala/medir?de=<tokenId>&para=<tokenId>
+app.get("/api/salas/:sala/medir", auth.requireAuth, async (req, res) => {
+  try {
+    const cena = await sceneFromRequest(req, res);
+    if (cena) sendGeometry(res, measureBetween(cena, req.query.de, req.query.para, req.user));
+  } catch (err) {
+    console.error("❌ Erro ao medir distância:", err);
+    res.status(500).json({ error: "Erro ao medir distância", message: err.message });
+  }
+});
+
+// POST /api/salas/:sala/area { forma, origem, alcance, direcao | alvo, angulo, largura }
+app.post("/api/salas/:sala/area", auth.requireAuth, async (req, res) => {
+  try {
+    const cena = await sceneFromRequest(req, res);
+    if (cena) sendGeometry(res, queryArea(cena, req.body, req.user));
+  } catch (err) {
+    console.error("❌ Erro ao consultar área:", err);
+    res.status(500).json({ error: "Erro ao consultar área", message: err.message });
+  }
+});
+
+// Envia só para os sockets da sala que passam no filtro (ex.: só o mestre)
+async function emitToRoomWhere(roomId, filtro, event, ...args) {
+  for (const s of await io.in(roomId).fetchSockets()) {
+    if (filtro(s)) s.emit(event, ...args);
+  }
+}
+
+const isMestreSocket = (s) => s.data.user?.role === ROLES.MESTRE;
+
+/* ===============================
+   🎲 DADOS
+================================ */
+
+const ROLLS_COLLECTION = "rolagens";
+
+// Rola no servidor, grava no log e avisa a sala. Rolagens privadas só vão
+// para o mestre e para quem rolou.
+async function rollForRoom({ roomId, user, notacao, privado = false, motivo = null, socketId = null }) {
+  const resultado = rollDice(notacao);
+  const rolagem = {
+    id: crypto.randomUUID(),
+    sala: roomId,
+    autor: { uid: user.uid, email: user.email, nome: user.name },
+    motivo: motivo ? String(motivo).slice(0, 200) : null,
+    privado: Boolean(privado),
+    ...resultado,
+    createdAt: new Date().toISOString(),
+  };
+
+  await store.set(ROLLS_COLLECTION, rolagem.id, rolagem);
+  console.log(`🎲 ${user.email || user.uid} rolou ${rolagem.texto}${rolagem.privado ? " (privado)" : ""}`);
+
+  if (roomId) {
+    if (rolagem.privado) {
+      await emitToRoomWhere(roomId, (s) => isMestreSocket(s) || s.id === socketId || s.data.user?.uid === user.uid, "dice-roll", rolagem);
+    } else {
+      io.to(roomId).emit("dice-roll", rolagem);
+    }
+  }
+
+  return rolagem;
+}
+
+app.post("/api/dados/rolar", auth.requireAuth, async (req, res) => {
+  try {
+    const { notacao, sala, privado, motivo } = req.body;
+
+    if (req.user.role === ROLES.ESPECTADOR) {
+      return res.status(403).json({ error: "Espectadores não podem rolar dados" });
+    }
+    if (sala && !canJoinRoom(await rooms.get(sala), req.user)) {
+      return res.status(403).json({ error: "Você não tem acesso a esta sala" });
+    }
+
+    const rolagem = await rollForRoom({
+      roomId: sala ? normalizeRoomId(sala) : null,
+      user: req.user,
+      notacao,
+      privado,
+      motivo,
+    });
+    res.json(rolagem);
+  } catch (err) {
+    if (err instanceof DiceError) return res.status(400).json({ error: err.message });
+    console.error("❌ Erro ao rolar dados:", err);
+    res.status(500).json({ error: "Erro ao rolar dados", message: err.message });
+  }
+});
+
+// Log de rolagens da sala (inclui as privadas, por isso só o mestre)
+app.get("/api/salas/:sala/rolagens", auth.requireMestre, async (req, res) => {
+  try {
+    const rolagens = await store.list(ROLLS_COLLECTION, {
+      where: { sala: normalizeRoomId(req.params.sala) },
+      orderBy: "createdAt",
+      direction: "desc",
+      limit: Math.min(Number(req.query.limit) || 50, 500),
+    });
+    res.json({ rolagens });
+  } catch (err) {
+    console.error("❌ Erro ao listar rolagens:", err);
+    res.status(500).json({ error: "Erro ao listar rolagens", message: err.message });
+  }
+});
+
+/* ===============================
+   💬 CHAT
+================================ */
+
+const chat = createChatService({ store });
+
+// Mensagens públicas vão para a sala toda; sussurros só para quem pode ler
+async function deliverChatMessage(roomId, mensagem) {
+  if (!mensagem.para) return io.to(roomId).emit("chat-message", mensagem);
+  await emitToRoomWhere(roomId, (s) => canSeeMessage(mensagem, s.data.user), "chat-message", mensagem);
+}
+
+/* ===============================
+   📚 BIBLIOTECA DE MÚSICAS
+================================ */
+
+// Lista/organiza o conteúdo de musicas/; a reprodução continua pela rota estática /musicas
+const musicLibrary = createMusicLibrary({ dir: musicDir, store });
+
+app.use(createMusicLibraryRouter({ library: musicLibrary, acceptUpload, auth }));
+
+/* ===============================
+   📜 FICHAS DE PERSONAGEM
+================================ */
+
+// Coleção `fichas`, id = email
+const fichas = createFichaService({ store: firestore });
+
+app.use(createFichaRouter({ fichas, auth }));
+
+// ❤️ Vida, PE e outros recursos ao vivo (eventos de socket mais abaixo)
+const resources = createResourceService({ store, fichas });
+
 /* ===============================
    🔊 SOCKET.IO (MÚSICA + GRID)
 ================================ */
 
-let tokens = [];
+// 🔐 Todo socket precisa de um ID token válido no handshake (`auth.token`)
+io.use(auth.socketAuth);
 
 io.on("connection", (socket) => {
-  console.log("🟢 Conectado:", socket.id);
+  const user = socket.data.user;
+  console.log(`🟢 Conectado: ${socket.id} (${user.email || user.uid}, ${user.role})`);
+
+  let room = null;
+
+  // Entra na sala pedida (carregando do armazenamento se preciso) e abre a cena ativa dela.
+  // Devolve o erro se o usuário não tem acesso; falhas ao carregar sobem e o socket
+  // continua onde estava.
+  async function joinRoom(roomId) {
+    const alvo = await rooms.get(roomId);
+    if (!canJoinRoom(alvo, user)) {
+      return socketError(SOCKET_ERRORS.FORBIDDEN, "Você não tem acesso a esta sala");
+    }
+
+    if (room) {
+      socket.leave(room.id);
+      if (socket.data.cena) socket.leave(sceneChannel(room, { id: socket.data.cena }));
+      socket.data.cena = null;
+      rooms.leave(room, socket.id);
+      room = null;
+    }
+
+    const joined = await rooms.join(roomId, socket.id);
+    if (socket.disconnected) return rooms.leave(joined, socket.id);
+
+    room = joined;
+    socket.join(room.id);
+    console.log(`🏰 ${socket.id} entrou na sala ${room.id}`);
+
+    showScene(socket, room, activeScene(room));
+    return null;
+  }
+
+  // Um join por vez: dois pedidos seguidos não deixam o socket em duas salas
+  let joins = Promise.resolve();
+
+  // Cena que este socket está olhando (volta para a ativa se a dele sumiu)
+  const cenaAtual = () => room.cenas.get(socket.data.cena) ?? activeScene(room);
+
+  // Registra um evento da sala: checa o papel do usuário antes de chamar o handler.
+  // Eventos recusados respondem { ok: false, error: { code, message } } pelo ack.
+  const on = (event, handler) => {
+    socket.on(event, (...args) => {
+      const ack = typeof args[args.length - 1] === "function" ? args[args.length - 1] : null;
+
+      if (!room) {
+        return reply(socket, event, ack, socketError(SOCKET_ERRORS.ROOM_NOT_READY, "Sala ainda carregando"));
+      }
+
+      const denied = checkEvent(user, event);
+      if (denied) {
+        console.log(`🛡️ ${event} recusado para ${user.email || user.uid} (${user.role})`);
+        return reply(socket, event, ack, denied);
+      }
+
+      handler(...args);
+    });
+  };
+
+  const ok = (event, ack) => reply(socket, event, ack, { ok: true });
+
+  // Eventos que alteram o grid: recebem a cena do socket e recusam prévias de jogadores
+  const onGrid = (event, handler) => {
+    on(event, (...args) => {
+      const cena = cenaAtual();
+      const denied = checkSceneEdit(room, cena, user);
+      if (denied) {
+        const ack = typeof args[args.length - 1] === "function" ? args[args.length - 1] : null;
+        return reply(socket, event, ack, denied);
+      }
+      handler(cena, ...args);
+    });
+  };
+
+  // Se a sala não carregar (erro no armazenamento) ou o acesso for negado, o
+  // socket recebe o erro e fica onde estava (sem sala, no primeiro join: os
+  // eventos da mesa respondem ROOM_NOT_READY)
+  function tryJoin(roomId, ack) {
+    joins = joins.then(async () => {
+      try {
+        const denied = await joinRoom(roomId);
+        reply(socket, "join-room", ack, denied ?? { ok: true, room: room?.id });
+      } catch (err) {
+        console.error(`❌ ${socket.id} não entrou na sala ${roomId}:`, err.message);
+        reply(socket, "join-room", ack, socketError(SOCKET_ERRORS.INTERNAL, "Não foi possível carregar a sala"));
+      }
+    });
+    return joins;
+  }
+
+  tryJoin(socket.handshake.auth?.room ?? socket.handshake.query?.room);
+
+  socket.on("join-room", (roomId, ack) => tryJoin(roomId, ack));
 
-  socket.emit("init", tokens);
+  // 🗺️ Grid: as regras (dono, versão, conflitos) ficam em grid.js
+  onGrid("addToken", (cena, token, ack) => {
+    const result = addToken(cena, token, user);
+    if (!result.ok) return reply(socket, "addToken", ack, result);
 
-  socket.on("addToken", (token) => {
-    tokens.push(token);
-    io.emit("addToken", token);
+    recordAdd(cena, user, result.token);
+    rooms.changed(room);
+    broadcastTokenChange(room, cena, null, result.token);
+    reply(socket, "addToken", ack, { ok: true, version: result.token.version });
   });
 
-  socket.on("updateToken", (updatedToken) => {
-    tokens = tokens.map((t) =>
-      t.id === updatedToken.id ? updatedToken : t
-    );
-    socket.broadcast.emit("updateToken", updatedToken);
+  // Patch parcial: { id, baseVersion, changes }. O ack informa a nova versão,
+  // se houve mescla ou encaixe na grade (com o token resultante), ou CONFLICT
+  // com o token atual para ressincronizar.
+  const applyPatch = (event, cena, id, run, ack) => {
+    const anterior = findToken(cena, id);
+    const result = run();
+    if (!result.ok) return reply(socket, event, ack, result);
+
+    if (Object.keys(result.changes).length > 0) {
+      recordPatch(cena, user, anterior, result.changes, result.token.version);
+      rooms.changed(room);
+      broadcastTokenChange(room, cena, anterior, result.token, { exceto: socket.id });
+    }
+    reply(socket, event, ack, {
+      ok: true,
+      version: result.token.version,
+      merged: result.merged,
+      ajustado: result.ajustado,
+      token: result.merged || result.ajustado ? result.token : undefined,
+    });
+  };
+
+  onGrid("patchToken", (cena, patch, ack) => {
+    applyPatch("patchToken", cena, patch?.id, () => patchToken(cena, patch, user), ack);
   });
 
-  socket.on("deleteToken", (id) => {
-    tokens = tokens.filter((t) => t.id !== id);
-    io.emit("deleteToken", id);
+  // Formato antigo (token inteiro): só os campos diferentes viram patch
+  onGrid("updateToken", (cena, updatedToken, ack) => {
+    applyPatch("updateToken", cena, updatedToken?.id, () => updateToken(cena, updatedToken, user), ack);
   });
 
-  socket.on("reorder", (newOrder) => {
-    tokens = newOrder;
-    io.emit("reorder", tokens);
+  onGrid("deleteToken", (cena, id, ack) => {
+    const index = cena.tokens.findIndex((t) => t.id === id);
+    const result = deleteToken(cena, id, user);
+    if (!result.ok) return reply(socket, "deleteToken", ack, result);
+
+    recordDelete(cena, user, result.token, index);
+    rooms.changed(room);
+    broadcastTokenChange(room, cena, result.token, null);
+    ok("deleteToken", ack);
   });
 
-  socket.on("play-music", (url) => {
-  console.log('🎵 Play recebido:', url);
-  // Envia a URL para TODOS os outros clientes
-  socket.broadcast.emit("play-music", url);
-});
+  onGrid("reorder", (cena, newOrder, ack) => {
+    const idsAntes = cena.tokens.map((t) => t.id);
+    const result = reorderTokens(cena, newOrder);
+    if (!result.ok) return reply(socket, "reorder", ack, result);
 
-socket.on("stop-music", (url) => {
-  console.log('🎵 Stop recebido:', url);
-  // Envia a URL para TODOS os outros clientes
-  socket.broadcast.emit("stop-music", url);
-});
+    recordReorder(cena, user, idsAntes, cena.tokens.map((t) => t.id));
+    rooms.changed(room);
+    broadcastOrder(room, cena);
+    ok("reorder", ack);
+  });
 
-socket.on("stop-all-music", () => {
-  console.log('🎵 Stop ALL recebido');
-  socket.broadcast.emit("stop-all-music");
-});
+  // ↩️ Desfazer/refazer: sem `entryId` pega a última ação do próprio usuário na
+  // cena; o mestre pode passar o id de qualquer entrada
+  const applyHistory = (event, cena, run, ack) => {
+    const antes = new Map(cena.tokens.map((t) => [t.id, t]));
+    const result = run();
+    if (!result.ok) return reply(socket, event, ack, result);
+
+    for (const efeito of result.efeitos) broadcastGridEffect(room, cena, efeito, antes);
+    rooms.changed(room);
+    // A entrada carrega o token inteiro, então só vai para o mestre e para o autor
+    emitToRoomWhere(room.id, (s) => isMestreSocket(s) || s.data.user?.uid === user.uid, "history-changed", { entrada: result.entrada, acao: event, cena: cena.id });
+    reply(socket, event, ack, { ok: true, entrada: result.entrada });
+  };
+
+  onGrid("undo", (cena, entryId, ack) => {
+    if (typeof entryId === "function") [ack, entryId] = [entryId, null];
+    applyHistory("undo", cena, () => undo(cena, user, entryId), ack);
+  });
 
-socket.on("volume-music", (data) => {
-  socket.broadcast.emit("volume-music", data);
-});
+  onGrid("redo", (cena, entryId, ack) => {
+    if (typeof entryId === "function") [ack, entryId] = [entryId, null];
+    applyHistory("redo", cena, () => redo(cena, user, entryId), ack);
+  });
+
+  on("history", (filtros, ack) => {
+    if (typeof filtros === "function") [ack, filtros] = [filtros, {}];
+    reply(socket, "history", ack, { ok: true, historico: queryHistory(cenaAtual(), filtros || {}) });
+  });
+
+  // 👁️ Esconder/revelar tokens (mestre): id ou lista de ids. Vira um patch de
+  // `visivelPara`, então entra no histórico e pode ser desfeito.
+  const setVisibility = (event, cena, ids, regra, ack) => {
+    const lista = Array.isArray(ids) ? ids : [ids];
+    if (lista.length === 0 || lista.some((id) => !findToken(cena, id))) {
+      return reply(socket, event, ack, socketError(SOCKET_ERRORS.NOT_FOUND, "Token não encontrado"));
+    }
+
+    for (const id of lista) {
+      const anterior = findToken(cena, id);
+      const result = patchToken(cena, { id, changes: { visivelPara: regra } }, user);
+      if (!result.ok) return reply(socket, event, ack, result);
+
+      recordPatch(cena, user, anterior, result.changes, result.token.version);
+      broadcastTokenChange(room, cena, anterior, result.token);
+    }
+
+    rooms.changed(room);
+    if (cena === activeScene(room) && room.combat.entradas.length > 0) broadcastCombat(room, "visibility");
+    ok(event, ack);
+  };
+
+  onGrid("reveal-token", (cena, ids, ack) => setVisibility("reveal-token", cena, ids, null, ack));
+
+  // { id | ids, para: "mestre" | ["uid", ...] } (sem `para` = só o mestre)
+  onGrid("hide-token", (cena, dados, ack) => {
+    const ids = dados?.ids ?? dados?.id ?? dados;
+    setVisibility("hide-token", cena, ids, dados?.para ?? VISIBILITY_GM, ack);
+  });
+
+  // 🌫️ Névoa: o mestre cobre áreas e limpa uma de cada vez
+  const applyFog = async (event, cena, mudar, ack) => {
+    const result = await applyVisibilityChange(room, cena, () => mudar(cena));
+    if (!result.ok) return reply(socket, event, ack, result);
+    reply(socket, event, ack, { ok: true, regiao: result.regiao });
+  };
+
+  on("fog-state", (ack) => reply(socket, "fog-state", ack, { ok: true, fog: fogSnapshot(cenaAtual(), user) }));
+  onGrid("fog-add", (cena, regiao, ack) => applyFog("fog-add", cena, (c) => addFogRegion(c, regiao), ack));
+  onGrid("fog-clear", (cena, id, ack) => applyFog("fog-clear", cena, (c) => clearFogRegion(c, id), ack));
+  onGrid("fog-cover", (cena, id, ack) => applyFog("fog-cover", cena, (c) => coverFogRegion(c, id), ack));
+  onGrid("fog-remove", (cena, id, ack) => applyFog("fog-remove", cena, (c) => removeFogRegion(c, id), ack));
+  onGrid("fog-reset", (cena, ack) => applyFog("fog-reset", cena, resetFog, ack));
+
+  // 📐 Medições na cena que o socket está olhando
+  on("measure", (dados, ack) => {
+    reply(socket, "measure", ack, measureBetween(cenaAtual(), dados?.de, dados?.para, user));
+  });
+
+  on("area-query", (dados, ack) => {
+    reply(socket, "area-query", ack, queryArea(cenaAtual(), dados, user));
+  });
+
+  // 🎬 Cenas: o mestre prepara várias e ativa uma, puxando a mesa toda para ela.
+  // Jogadores podem abrir em prévia (só leitura) as cenas com `previa` ligada.
+  on("list-scenes", (ack) => reply(socket, "list-scenes", ack, { ok: true, cenas: listScenes(room, user) }));
+
+  on("view-scene", (id, ack) => {
+    if (typeof id === "function") [ack, id] = [id, null];
+    const cena = id ? room.cenas.get(id) : activeScene(room);
+    if (!canViewScene(room, cena, user)) {
+      return reply(socket, "view-scene", ack, socketError(SOCKET_ERRORS.NOT_FOUND, "Cena não encontrada"));
+    }
+    showScene(socket, room, cena);
+    reply(socket, "view-scene", ack, { ok: true, cena: sceneSummary(room, cena) });
+  });
+
+  on("create-scene", (dados, ack) => {
+    const result = addScene(room, dados);
+    if (!result.ok) return reply(socket, "create-scene", ack, result);
+
+    rooms.changed(room);
+    broadcastScenes(room);
+    reply(socket, "create-scene", ack, { ok: true, cena: sceneSummary(room, result.cena) });
+  });
+
+  on("update-scene", async (dados, ack) => {
+    const result = updateScene(room, dados);
+    if (!result.ok) return reply(socket, "update-scene", ack, result);
+
+    rooms.changed(room);
+    const cena = result.cena;
+    // Quem perdeu a prévia volta para a cena ativa; os outros recebem fundo/grade novos
+    for (const s of await io.in(sceneChannel(room, cena)).fetchSockets()) {
+      if (!canViewScene(room, cena, s.data.user)) showScene(s, room, activeScene(room));
+      else s.emit("scene-updated", sceneSummary(room, cena));
+    }
+    broadcastScenes(room);
+    reply(socket, "update-scene", ack, { ok: true, cena: sceneSummary(room, cena) });
+  });
+
+  on("delete-scene", async (id, ack) => {
+    const cena = room.cenas.get(id);
+    const result = removeScene(room, id);
+    if (!result.ok) return reply(socket, "delete-scene", ack, result);
+
+    rooms.changed(room);
+    for (const s of await io.in(sceneChannel(room, cena)).fetchSockets()) {
+      showScene(s, room, activeScene(room));
+    }
+    broadcastScenes(room);
+    ok("delete-scene", ack);
+  });
+
+  // Ativar puxa todos os sockets da sala para a cena
+  on("activate-scene", async (id, ack) => {
+    const result = activateScene(room, typeof id === "object" && id !== null ? id.id : id);
+    if (!result.ok) return reply(socket, "activate-scene", ack, result);
+
+    rooms.changed(room);
+    console.log(`🎬 Sala ${room.id}: cena ativa agora é "${result.cena.nome}"`);
+    for (const s of await io.in(room.id).fetchSockets()) showScene(s, room, result.cena);
+    broadcastScenes(room);
+    if (room.combat.entradas.length > 0) broadcastCombat(room, "scene");
+    reply(socket, "activate-scene", ack, { ok: true, cena: sceneSummary(room, result.cena) });
+  });
+
+  // 🎵 Música: o servidor guarda as faixas tocando e repassa para a sala.
+  // O primeiro argumento continua sendo a URL para os clientes antigos.
+  on("play-music", (payload, ack) => {
+    const dados = normalizePlayPayload(payload);
+    if (!dados) {
+      return reply(socket, "play-music", ack, socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "URL da música é obrigatória"));
+    }
+
+    console.log('🎵 Play recebido:', dados.url);
+    const track = playTrack(room.music, dados);
+    rooms.changed(room);
+    socket.to(room.id).emit("play-music", track.url, { ...track, offset: dados.offset, serverTime: Date.now() });
+    reply(socket, "play-music", ack, { ok: true, track });
+  });
+
+  on("stop-music", (url, ack) => {
+    console.log('🎵 Stop recebido:', url);
+    stopTrack(room.music, url);
+    rooms.changed(room);
+    socket.to(room.id).emit("stop-music", url);
+    ok("stop-music", ack);
+  });
+
+  on("stop-all-music", (ack) => {
+    console.log('🎵 Stop ALL recebido');
+    stopAll(room.music);
+    rooms.changed(room);
+    socket.to(room.id).emit("stop-all-music");
+    ok("stop-all-music", ack);
+  });
+
+  on("volume-music", (data, ack) => {
+    setVolume(room.music, data);
+    rooms.changed(room);
+    socket.to(room.id).emit("volume-music", data);
+    ok("volume-music", ack);
+  });
+
+  // Estado atual da música sob demanda (ex.: depois de voltar de uma aba em segundo plano)
+  on("music-state", (ack) => {
+    reply(socket, "music-state", ack, { ok: true, music: musicSnapshot(room.music) });
+  });
+
+  // ⏱️ Sincronização de relógio: o cliente calcula atraso e diferença com
+  // serverTime - (clientTime + rtt / 2)
+  socket.on("clock-sync", (clientTime, ack) => {
+    if (typeof ack === "function") ack({ clientTime, serverTime: Date.now() });
+  });
+
+  // 🎲 { notacao, privado, motivo } ou só a notação
+  on("roll-dice", async (payload, ack) => {
+    const dados = typeof payload === "string" ? { notacao: payload } : payload || {};
+    try {
+      const rolagem = await rollForRoom({
+        roomId: room.id,
+        user,
+        socketId: socket.id,
+        notacao: dados.notacao,
+        privado: dados.privado,
+        motivo: dados.motivo,
+      });
+      reply(socket, "roll-dice", ack, { ok: true, rolagem });
+    } catch (err) {
+      const code = err instanceof DiceError ? SOCKET_ERRORS.INVALID_PAYLOAD : SOCKET_ERRORS.INTERNAL;
+      reply(socket, "roll-dice", ack, socketError(code, err.message));
+    }
+  });
+
+  registerChatHandlers(on, {
+    chat,
+    getRoom: () => room,
+    getUser: () => user,
+    deliver: deliverChatMessage,
+  });
+
+  registerInitiativeHandlers(on, {
+    getRoom: () => room,
+    getUser: () => user,
+    broadcast: broadcastCombat,
+  });
+
+  registerResourceHandlers(on, {
+    resources,
+    getRoom: () => room,
+    getUser: () => user,
+    // Recursos de um personagem só vão para o mestre e para o dono da ficha
+    broadcast: (sala, evento) => emitToRoomWhere(sala, (s) => canWriteFicha(s.data.user, evento.ficha), "resources", evento),
+  });
+
+  registerSnapshotHandlers(on, {
+    snapshots,
+    getRoom: () => room,
+    getUser: () => user,
+    onRestore: broadcastRestore,
+  });
 
   socket.on("disconnect", () => {
+    rooms.leave(room, socket.id);
     console.log("🔴 Desconectado:", socket.id);
   });
 });
@@ -491,18 +1211,9 @@ app.get("/api/giphy/search", async (req, res) => {
 });
 
 // 🟢🟢🟢 ROTA PARA DELETAR CONTA (APENAS MESTRE) 🟢🟢🟢
-app.post("/api/admin/delete-user", async (req, res) => {
+app.post("/api/admin/delete-user", auth.requireMestre, async (req, res) => {
   try {
-    const { email, mestreEmail } = req.body;
-    
-    // Verifica se quem está fazendo a requisição é o mestre
-    const MASTER_EMAIL = "mestre@reqviemrpg.com";
-    
-    if (mestreEmail !== MASTER_EMAIL) {
-      return res.status(403).json({ 
-        error: "Apenas o mestre pode deletar contas" 
-      });
-    }
+    const { email } = req.body;
     
     if (!email) {
       return res.status(400).json({ 
@@ -510,10 +1221,10 @@ app.post("/api/admin/delete-user", async (req, res) => {
       });
     }
     
-    // Não permite deletar a conta do próprio mestre
-    if (email === MASTER_EMAIL) {
+    // Não permite deletar a própria conta
+    if (email === req.user.email) {
       return res.status(403).json({ 
-        error: "Não é possível deletar a conta do mestre" 
+        error: "Não é possível deletar a própria conta" 
       });
     }
     
@@ -524,6 +1235,13 @@ app.post("/api/admin/delete-user", async (req, res) => {
       const userRecord = await adminAuth.getUserByEmail(email);
       const uid = userRecord.uid;
       
+      // Contas de mestre não podem ser deletadas por esta rota
+      if (auth.roleOf({ ...userRecord.customClaims, email, email_verified: userRecord.emailVerified }) === ROLES.MESTRE) {
+        return res.status(403).json({ 
+          error: "Não é possível deletar a conta de um mestre" 
+        });
+      }
+      
       // 2. Deletar o documento da ficha no Firestore
       try {
         await adminDb.collection('fichas').doc(email).delete();
@@ -573,22 +1291,14 @@ app.post("/api/admin/delete-user", async (req, res) => {
 });
 
 // 🟢 ROTA PARA LISTAR TODAS AS CONTAS (APENAS MESTRE)
-app.post("/api/admin/list-users", async (req, res) => {
+app.post("/api/admin/list-users", auth.requireMestre, async (req, res) => {
   try {
-    const { mestreEmail } = req.body;
-    const MASTER_EMAIL = "mestre@reqviemrpg.com";
-    
-    if (mestreEmail !== MASTER_EMAIL) {
-      return res.status(403).json({ 
-        error: "Apenas o mestre pode listar contas" 
-      });
-    }
-    
     const listUsersResult = await adminAuth.listUsers();
     const users = listUsersResult.users.map(user => ({
       uid: user.uid,
       email: user.email,
       displayName: user.displayName,
+      role: auth.roleOf({ ...user.customClaims, email: user.email, email_verified: user.emailVerified }),
       createdAt: user.metadata.creationTime,
       lastSignIn: user.metadata.lastSignInTime
     }));
@@ -604,218 +1314,58 @@ app.post("/api/admin/list-users", async (req, res) => {
   }
 });
 
-// 🟢 ROTA DE AVALIAÇÃO DE HABILIDADES (IA) - VERSÃO CORRIGIDA E RIGOROSA
-app.post("/api/avaliar-habilidade", async (req, res) => {
+// 🟢 ROTA PARA DEFINIR O PAPEL DE UMA CONTA (APENAS MESTRE)
+app.post("/api/admin/set-role", auth.requireMestre, async (req, res) => {
   try {
-    const { nome, descricao, dado, tipoDano, custoPE, condicoes } = req.body;
-    
-    const descLower = (descricao || "").toLowerCase();
-    const nomeLower = (nome || "").toLowerCase();
-    
-    // =============================================
-    // 🟢 ANÁLISE DE PODER BASE (0 a 10)
-    // =============================================
-    let poderBase = 0;
-    
-    // --- PESO DO DADO (1-10) ---
-    poderBase += (Number(dado) || 1) * 0.5;
-    
-    // --- TIPO DE DANO ---
-    const danosFortes = ["Aurano", "Psíquico", "Tóxico", "Térmico"];
-    if (danosFortes.includes(tipoDano)) poderBase += 1.5;
+    const { email, role } = req.body;
     
-    // --- CUSTO DE PE (custo alto reduz poder) ---
-    poderBase -= (Number(custoPE) || 0) * 0.15;
-    
-    // =============================================
-    // 🟢 ANÁLISE SEMÂNTICA DA DESCRIÇÃO (MUITO MAIS RIGOROSA)
-    // =============================================
-    
-    // 🔴 PALAVRAS DE PODER ABSOLUTO (muito overpower)
-    if (descLower.includes("mata instantaneamente") || 
-        descLower.includes("morte instantânea") ||
-        descLower.includes("mata qualquer") ||
-        descLower.includes("matar tudo") ||
-        descLower.includes("todos os inimigos") && descLower.includes("mata")) {
-      poderBase += 8; // Extremamente overpower
-    }
-    
-    // 🔴 PALAVRAS DE MORTE GARANTIDA
-    if (descLower.includes("morte certa") || 
-        descLower.includes("mata na hora") ||
-        descLower.includes("sem chance de defesa") ||
-        descLower.includes("impossível de sobreviver")) {
-      poderBase += 7;
-    }
-    
-    // 🔴 DANO EM ÁREA MASSIVO
-    if ((descLower.includes("todos") || descLower.includes("todos os inimigos")) && 
-        (descLower.includes("dano") || descLower.includes("mata") || descLower.includes("destrói"))) {
-      poderBase += 5;
-    }
-    
-    // 🔴 INVENCIBILIDADE
-    if (descLower.includes("invencível") || 
-        descLower.includes("imune a tudo") ||
-        descLower.includes("nada pode") && descLower.includes("atingir") ||
-        descLower.includes("invulnerável")) {
-      poderBase += 6;
+    if (!email || !isValidRole(role)) {
+      return res.status(400).json({ 
+        error: `Informe email e um papel válido (${Object.values(ROLES).join(", ")})` 
+      });
     }
     
-    // 🟠 PODERES MUITO FORTES
-    if (descLower.includes("controla") && descLower.includes("mente")) poderBase += 4;
-    if (descLower.includes("controla") && descLower.includes("tempo")) poderBase += 5;
-    if (descLower.includes("controla") && descLower.includes("realidade")) poderBase += 6;
-    if (descLower.includes("teleporte")) poderBase += 2;
-    if (descLower.includes("invisível") || descLower.includes("invisibilidade")) poderBase += 2;
-    if (descLower.includes("cura") && descLower.includes("tudo")) poderBase += 3;
-    if (descLower.includes("ressuscita")) poderBase += 5;
-    if (descLower.includes("paralisa")) poderBase += 2;
-    
-    // 🟡 DANO MODERADO
-    if (descLower.includes("dano massivo") || descLower.includes("dano devastador")) poderBase += 4;
-    if (descLower.includes("dano alto") || descLower.includes("dano grande")) poderBase += 3;
-    if (descLower.includes("explosão")) poderBase += 2;
-    if (descLower.includes("corte profundo")) poderBase += 2;
-    
-    // 🟢 DEFESAS
-    if (descLower.includes("escudo") || descLower.includes("defesa")) poderBase += 1;
-    if (descLower.includes("barreira")) poderBase += 1.5;
-    
-    // 🔴 ANÁLISE DO NOME (nomes muito sugestivos)
-    if (nomeLower.includes("morte") || nomeLower.includes("destruição")) poderBase += 3;
-    if (nomeLower.includes("juízo final") || nomeLower.includes("apocalipse")) poderBase += 5;
-    if (nomeLower.includes("deus") || nomeLower.includes("divino")) poderBase += 4;
-    
-    // =============================================
-    // 🟢 NÍVEL DE RESTRIÇÃO (0 a 10)
-    // =============================================
-    let nivelRestricao = 0;
-    
-    const condicoesAnalisadas = (condicoes || []).map(cond => {
-      const descCond = (cond.descricao || "").toLowerCase();
-      let dificuldade = cond.dificuldade || 0;
-      let janela = cond.janela || 0;
-      let custo = cond.custo || 0;
-      let risco = cond.risco || 0;
-      
-      // Só analisa se não foi avaliado manualmente
-      if (dificuldade === 0 && janela === 0 && custo === 0 && risco === 0) {
-        // Dificuldade
-        if (descCond.includes("50 pulos") || descCond.includes("100 flexões") || 
-            descCond.includes("correr 10km") || descCond.includes("1 hora")) dificuldade = 4;
-        else if (descCond.includes("concentração") || descCond.includes("meditar")) dificuldade = 2;
-        else if (descCond.includes("gritar") || descCond.includes("falar")) dificuldade = 1;
-        
-        // Janela
-        if (descCond.includes("eclipse") || descCond.includes("lua cheia") || 
-            descCond.includes("alinhamento")) janela = 5;
-        else if (descCond.includes("noite") || descCond.includes("escuridão")) janela = 3;
-        else if (descCond.includes("dia") || descCond.includes("manhã")) janela = 2;
-        else if (descCond.includes("uma vez por") || descCond.includes("1 vez por")) janela = 4;
-        
-        // Custo
-        if (descCond.includes("vida") || descCond.includes("sangue") || 
-            descCond.includes("morte") || descCond.includes("alma")) custo = 5;
-        else if (descCond.includes("energia") || descCond.includes("cansaço")) custo = 3;
-        else if (descCond.includes("pe") || descCond.includes("aura")) custo = 2;
-        
-        // Risco
-        if (descCond.includes("chance de morrer") || descCond.includes("morte certa")) risco = 5;
-        else if (descCond.includes("pode falhar") || descCond.includes("chance de")) risco = 3;
-        else if (descCond.includes("dano colateral") || descCond.includes("aliados")) risco = 2;
-      }
-      
-      // Peso da condição individual
-      const pesoCond = (dificuldade * 0.3) + (janela * 0.5) + (custo * 0.4) + (risco * 0.6);
-      nivelRestricao += pesoCond;
-      
-      return { ...cond, dificuldade, janela, custo, risco };
+    const userRecord = await adminAuth.getUserByEmail(email);
+    await adminAuth.setCustomUserClaims(userRecord.uid, {
+      ...userRecord.customClaims,
+      role,
     });
     
-    // =============================================
-    // 🟢 CÁLCULO DE BALANCEAMENTO
-    // =============================================
+    console.log(`🔐 ${req.user.email} definiu ${email} como ${role}`);
     
-    // Fator de restrição: 0 restrições = fator 1.0 (sem redução)
-    // Muitas restrições = fator 0.2 (80% de redução)
-    const fatorRestricao = Math.max(0.15, 1 - (nivelRestricao / 8));
+    // O novo papel vale a partir do próximo ID token do usuário
+    res.json({ success: true, email, role });
     
-    // Poder efetivo = poder base × fator de restrição
-    const poderEfetivo = poderBase * fatorRestricao;
-    
-    // Limite máximo permitido (ajustável)
-    const limiteMaximo = 3;
-    const percentual = Math.min((poderEfetivo / limiteMaximo) * 100, 200);
-    
-    // =============================================
-    // 🟢 CLASSIFICAÇÃO
-    // =============================================
-    let status, mensagem, sugestoes = [];
-    
-    if (nivelRestricao === 0 && poderBase > 5) {
-      status = "Muito Desequilibrada 🔴🔴";
-      mensagem = "Habilidade extremamente forte SEM nenhuma condição! Adicione restrições severas.";
-      sugestoes = [
-        "Adicione pelo menos 2 condições severas",
-        "Condições como 'só funciona 1 vez por dia' ajudam muito",
-        "Riscos como 'chance de perder a própria vida' são poderosos balanceadores"
-      ];
-    } else if (percentual <= 40) {
-      status = "Perfeitamente Equilibrada ✅✅";
-      mensagem = "Excelente! As restrições controlam perfeitamente o poder da habilidade.";
-    } else if (percentual <= 70) {
-      status = "Bem Equilibrada ✅";
-      mensagem = "A habilidade está bem balanceada com as restrições atuais.";
-    } else if (percentual <= 100) {
-      status = "Equilibrada ✅";
-      mensagem = "A habilidade está dentro do limite aceitável.";
-    } else if (percentual <= 130) {
-      status = "Pouco Equilibrada ⚠️";
-      mensagem = "A habilidade está um pouco acima do ideal. Considere adicionar mais condições.";
-      sugestoes = [
-        "Adicione condições de dificuldade (ex: requer concentração)",
-        "Restrinja o uso (ex: só funciona à noite)",
-        "Adicione um custo (ex: consome 5 PE adicionais)"
-      ];
-    } else if (percentual <= 180) {
-      status = "Desequilibrada 🔴";
-      mensagem = "Habilidade muito forte para as restrições atuais. Precisa de mais limitações.";
-      sugestoes = [
-        "Adicione múltiplas condições severas",
-        "Condições com risco de vida são as mais eficazes",
-        "Reduza o dado de dano ou poder base"
-      ];
-    } else {
-      status = "Extremamente Desequilibrada 🔴🔴";
-      mensagem = "Esta habilidade quebra completamente o jogo! Necessita de restrições extremas.";
-      sugestoes = [
-        "Adicione uma condição de 'risco de morte' (nível 5)",
-        "Restrinja para '1 uso por dia' ou menos",
-        "Adicione custo de vida/sangue",
-        "Considere reduzir drasticamente o poder base"
-      ];
+  } catch (err) {
+    if (err.code === 'auth/user-not-found') {
+      return res.status(404).json({ error: `Usuário ${req.body.email} não encontrado` });
     }
-    
-    res.json({
-      poderBase: Math.min(poderBase, 10),
-      nivelRestricao: Math.min(nivelRestricao, 10),
-      percentual,
-      status,
-      mensagem,
-      sugestoes,
-      condicoesAnalisadas
+    console.error("❌ Erro ao definir papel:", err);
+    res.status(500).json({ 
+      error: "Erro ao definir papel",
+      message: err.message 
     });
-    
-  } catch (error) {
-    console.error("Erro na avaliação:", error);
-    res.status(500).json({ error: "Erro ao avaliar habilidade" });
   }
 });
+
+// 🟢 AVALIAÇÃO DE HABILIDADES: regras versionadas, editáveis pelo mestre (ver skillRules.js)
+const rulesets = createRulesetService({ store });
+
+app.use(createSkillRulesRouter({ rulesets, fichas, auth }));
+
+// 🎯 Candidata calibrada com as avaliações mais recentes do mestre (rodadas curtas;
+// a calibração completa fica com npm run calibrar)
+app.use(createCalibrationRouter({
+  rulesets,
+  loadTraining: ({ limite }) => firestore.list(TRAINING_COLLECTION, { orderBy: "createdAt", direction: "desc", limit: limite }),
+  auth,
+}));
+
 // 🟢 ROTA PARA SALVAR AVALIAÇÕES DO MESTRE (TREINAMENTO) - CORRIGIDA
-app.post("/api/salvar-avaliacao", async (req, res) => {
+app.post("/api/salvar-avaliacao", auth.requireMestre, async (req, res) => {
   try {
-    const { fichaId, habilidade, avaliacaoMestre, timestamp, mestreEmail } = req.body;
+    const { fichaId, habilidade, avaliacaoMestre, timestamp } = req.body;
+    const mestreEmail = req.user.email;
     
     console.log("📚 Salvando avaliação do mestre:", {
       fichaId,
@@ -852,15 +1402,8 @@ app.post("/api/salvar-avaliacao", async (req, res) => {
 });
 
 // 🟢 ROTA PARA CONSULTAR AVALIAÇÕES SALVAS (APENAS MESTRE) - CORRIGIDA
-app.post("/api/consultar-avaliacoes", async (req, res) => {
+app.post("/api/consultar-avaliacoes", auth.requireMestre, async (req, res) => {
   try {
-    const { mestreEmail } = req.body;
-    const MASTER_EMAIL = "mestre@reqviemrpg.com";
-    
-    if (mestreEmail !== MASTER_EMAIL) {
-      return res.status(403).json({ error: "Apenas o mestre pode consultar" });
-    }
-    
     // 🟢 CORRIGIDO: Verifica se a coleção existe antes de consultar
     const snapshot = await adminDb.collection('treinamentoIA')
       .orderBy('createdAt', 'desc')
@@ -1088,6 +1631,16 @@ app.post("/api/gerar-campo-habilidade", async (req, res) => {
   }
 });
 
+// Grava os grids pendentes antes de encerrar (deploys e reinícios)
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, async () => {
+    await rooms.flush();
+    process.exit(0);
+  });
+}
+
+await importLegacyTokens();
+
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`🚀 Servidor rodando na porta ${PORT}`);
@@ -0,0 +1,727 @@
+import express from "express";
+import { analyze, matchAlternatives } from "./textAnalysis.js";
+import { canWriteFicha, FICHA_LIMITS } from "./fichas.js";
+
+/* ===============================
+   ⚖️ REGRAS DE AVALIAÇÃO DE HABILIDADES
+================================ */
+
+// As palavras-chave, pesos e faixas de `/api/avaliar-habilidade` ficam num
+// documento de regras versionado (coleção `regrasAvaliacao` do store: arquivo
+// local ou Firestore, conforme STORE_DRIVER). O mestre edita pela API; cada
+// gravação vira uma versão nova e a ativa pode voltar para qualquer anterior.
+//
+// Uma regra de poder dispara quando alguma alternativa de `quando` bate, e uma
+// alternativa bate quando todos os termos dela aparecem no campo:
+//   { id, rotulo, campo: "descricao" | "nome", quando: [["controla", "mente"], ["telepatia"]], peso }
+// Os termos são comparados pela análise de texto (ver textAnalysis.js): sem
+// acentos, por palavras inteiras e pelo radical; termos negados no texto
+// ("não mata") não contam; "=palavra" casa só a palavra exata. Heurísticas de
+// condição (só para condições sem pesos manuais) seguem a mesma forma; em cada
+// eixo vale a primeira que bater.
+
+export const RULES_COLLECTION = "regrasAvaliacao";
+
+const ATIVA = "ativa";
+const EIXOS = ["dificuldade", "janela", "custo", "risco"];
+const CAMPOS_REGRA = ["descricao", "nome"];
+
+const regra = (id, rotulo, campo, peso, quando) => ({ id, rotulo, campo, peso, quando });
+const heuristica = (valor, termos) => ({ valor, quando: termos.map((t) => [t]) });
+
+// Versão 1: exatamente os valores que estavam fixos no handler da rota. Fica como
+// foi publicada: avaliações gravadas com `versaoRegras: 1` apontam para ela.
+export const RULESET_V1 = {
+  versao: 1,
+  descricao: "Regras originais",
+  dado: { peso: 0.5, padrao: 1 },
+  tiposDano: { "Aurano": 1.5, "Psíquico": 1.5, "Tóxico": 1.5, "Térmico": 1.5 },
+  custoPE: { peso: -0.15 },
+  regras: [
+    // 🔴 Poder absoluto e morte garantida
+    regra("morte-instantanea", "Morte instantânea", "descricao", 8, [
+      ["mata instantaneamente"], ["morte instantânea"], ["mata qualquer"], ["matar tudo"], ["todos os inimigos", "mata"],
+    ]),
+    regra("morte-garantida", "Morte garantida", "descricao", 7, [
+      ["morte certa"], ["mata na hora"], ["sem chance de defesa"], ["impossível de sobreviver"],
+    ]),
+    regra("area-massiva", "Dano em área massivo", "descricao", 5, [
+      ["todos", "dano"], ["todos", "mata"], ["todos", "destrói"],
+    ]),
+    regra("invencibilidade", "Invencibilidade", "descricao", 6, [
+      ["invencível"], ["imune a tudo"], ["nada pode", "atingir"], ["invulnerável"],
+    ]),
+    // 🟠 Poderes muito fortes
+    regra("controle-mente", "Controle mental", "descricao", 4, [["controla", "mente"]]),
+    regra("controle-tempo", "Controle do tempo", "descricao", 5, [["controla", "tempo"]]),
+    regra("controle-realidade", "Controle da realidade", "descricao", 6, [["controla", "realidade"]]),
+    regra("teleporte", "Teleporte", "descricao", 2, [["teleporte"]]),
+    regra("invisibilidade", "Invisibilidade", "descricao", 2, [["invisível"], ["invisibilidade"]]),
+    regra("cura-total", "Cura total", "descricao", 3, [["cura", "tudo"]]),
+    regra("ressurreicao", "Ressurreição", "descricao", 5, [["ressuscita"]]),
+    regra("paralisia", "Paralisia", "descricao", 2, [["paralisa"]]),
+    // 🟡 Dano
+    regra("dano-massivo", "Dano massivo", "descricao", 4, [["dano massivo"], ["dano devastador"]]),
+    regra("dano-alto", "Dano alto", "descricao", 3, [["dano alto"], ["dano grande"]]),
+    regra("explosao", "Explosão", "descricao", 2, [["explosão"]]),
+    regra("corte-profundo", "Corte profundo", "descricao", 2, [["corte profundo"]]),
+    // 🟢 Defesas
+    regra("defesa", "Escudo ou defesa", "descricao", 1, [["escudo"], ["defesa"]]),
+    regra("barreira", "Barreira", "descricao", 1.5, [["barreira"]]),
+    // 🔴 Nomes sugestivos
+    regra("nome-morte", "Nome de morte ou destruição", "nome", 3, [["morte"], ["destruição"]]),
+    regra("nome-apocalipse", "Nome apocalíptico", "nome", 5, [["juízo final"], ["apocalipse"]]),
+    regra("nome-divino", "Nome divino", "nome", 4, [["deus"], ["divino"]]),
+  ],
+  condicoes: {
+    pesos: { dificuldade: 0.3, janela: 0.5, custo: 0.4, risco: 0.6 },
+    heuristicas: {
+      dificuldade: [
+        heuristica(4, ["50 pulos", "100 flexões", "correr 10km", "1 hora"]),
+        heuristica(2, ["concentração", "meditar"]),
+        heuristica(1, ["gritar", "falar"]),
+      ],
+      janela: [
+        heuristica(5, ["eclipse", "lua cheia", "alinhamento"]),
+        heuristica(3, ["noite", "escuridão"]),
+        heuristica(2, ["dia", "manhã"]),
+        heuristica(4, ["uma vez por", "1 vez por"]),
+      ],
+      custo: [
+        heuristica(5, ["vida", "sangue", "morte", "alma"]),
+        heuristica(3, ["energia", "cansaço"]),
+        heuristica(2, ["pe", "aura"]),
+      ],
+      risco: [
+        heuristica(5, ["chance de morrer", "morte certa"]),
+        heuristica(3, ["pode falhar", "chance de"]),
+        heuristica(2, ["dano colateral", "aliados"]),
+      ],
+    },
+  },
+  // Fator de restrição = max(fatorMinimo, 1 - restrição / divisorRestricao);
+  // percentual = poder efetivo / limiteMaximo (até percentualMaximo)
+  balanco: {
+    limiteMaximo: 3,
+    divisorRestricao: 8,
+    fatorMinimo: 0.15,
+    percentualMaximo: 200,
+    poderMaximo: 10,
+    restricaoMaxima: 10,
+  },
+  classificacao: {
+    // Forte demais e sem nenhuma condição, qualquer que seja o percentual
+    semRestricao: {
+      poderAcima: 5,
+      status: "Muito Desequilibrada 🔴🔴",
+      mensagem: "Habilidade extremamente forte SEM nenhuma condição! Adicione restrições severas.",
+      sugestoes: [
+        "Adicione pelo menos 2 condições severas",
+        "Condições como 'só funciona 1 vez por dia' ajudam muito",
+        "Riscos como 'chance de perder a própria vida' são poderosos balanceadores",
+      ],
+    },
+    // Em ordem; `ate: null` fecha a última faixa
+    faixas: [
+      {
+        ate: 40,
+        status: "Perfeitamente Equilibrada ✅✅",
+        mensagem: "Excelente! As restrições controlam perfeitamente o poder da habilidade.",
+        sugestoes: [],
+      },
+      {
+        ate: 70,
+        status: "Bem Equilibrada ✅",
+        mensagem: "A habilidade está bem balanceada com as restrições atuais.",
+        sugestoes: [],
+      },
+      {
+        ate: 100,
+        status: "Equilibrada ✅",
+        mensagem: "A habilidade está dentro do limite aceitável.",
+        sugestoes: [],
+      },
+      {
+        ate: 130,
+        status: "Pouco Equilibrada ⚠️",
+        mensagem: "A habilidade está um pouco acima do ideal. Considere adicionar mais condições.",
+        sugestoes: [
+          "Adicione condições de dificuldade (ex: requer concentração)",
+          "Restrinja o uso (ex: só funciona à noite)",
+          "Adicione um custo (ex: consome 5 PE adicionais)",
+        ],
+      },
+      {
+        ate: 180,
+        status: "Desequilibrada 🔴",
+        mensagem: "Habilidade muito forte para as restrições atuais. Precisa de mais limitações.",
+        sugestoes: [
+          "Adicione múltiplas condições severas",
+          "Condições com risco de vida são as mais eficazes",
+          "Reduza o dado de dano ou poder base",
+        ],
+      },
+      {
+        ate: null,
+        status: "Extremamente Desequilibrada 🔴🔴",
+        mensagem: "Esta habilidade quebra completamente o jogo! Necessita de restrições extremas.",
+        sugestoes: [
+          "Adicione uma condição de 'risco de morte' (nível 5)",
+          "Restrinja para '1 uso por dia' ou menos",
+          "Adicione custo de vida/sangue",
+          "Considere reduzir drasticamente o poder base",
+        ],
+      },
+    ],
+  },
+};
+
+// Versão 2: os termos da v1 ajustados à análise de texto (frases inteiras onde a
+// v1 juntava palavras soltas, sinônimos, "uma vez por ..." antes de "noite" e
+// "dia", que também casariam nela, e palavras exatas onde o radical confunde)
+// e o orçamento de poder das fichas
+const QUANDO_V2 = {
+  "morte-instantanea": [
+    ["mata instantaneamente"], ["morte instantânea"], ["mata qualquer"], ["matar tudo"], ["mata todos os inimigos"],
+  ],
+  "area-massiva": [["todos", "dano"], ["todos", "mata"], ["todos", "destrói"], ["todos", "destruir"]],
+  "invencibilidade": [["invencível"], ["imune a tudo"], ["nada pode atingir"], ["invulnerável"], ["invulnerabilidade"]],
+  "controle-mente": [["controla", "=mente"], ["controla", "=mentes"]],
+  "teleporte": [["teleporte"], ["teletransporte"]],
+  "ressurreicao": [["ressuscita"], ["ressurreição"]],
+  "paralisia": [["paralisa"], ["paralisia"]],
+};
+
+const BASE_V2 = structuredClone(RULESET_V1);
+
+export const DEFAULT_RULESET = {
+  ...BASE_V2,
+  versao: 2,
+  descricao: "Termos ajustados à análise de texto e orçamento de poder",
+  regras: BASE_V2.regras.map((r) => ({ ...r, quando: QUANDO_V2[r.id] ?? r.quando })),
+  condicoes: {
+    ...BASE_V2.condicoes,
+    heuristicas: {
+      ...BASE_V2.condicoes.heuristicas,
+      janela: [
+        heuristica(5, ["eclipse", "lua cheia", "alinhamento"]),
+        heuristica(4, ["uma vez por", "1 vez por", "uma vez ao", "1 vez ao"]),
+        heuristica(3, ["noite", "escuridão"]),
+        heuristica(2, ["dia", "manhã"]),
+      ],
+      risco: [
+        heuristica(5, ["chance de morrer", "morte certa"]),
+        heuristica(3, ["pode falhar", "chance de"]),
+        heuristica(2, ["dano colateral", "=aliado", "=aliados", "=aliada", "=aliadas"]),
+      ],
+    },
+  },
+  // Orçamento de poder de uma ficha inteira (soma do poder efetivo das habilidades):
+  // (base + porNivel × (nível - 1)) × porAura[tipoAura] (1 se o tipo não estiver na lista)
+  orcamento: {
+    base: 9,
+    porNivel: 1.5,
+    porAura: {},
+  },
+};
+
+// Versões que vêm com o código (valem mesmo sem nada gravado no store)
+const BUILTIN_RULESETS = [RULESET_V1, DEFAULT_RULESET];
+
+export class RulesetError extends Error {
+  constructor(status, message, detalhes = null) {
+    super(message);
+    this.status = status;
+    this.detalhes = detalhes;
+  }
+}
+
+// ---------- validação ----------
+
+const isNumero = (valor) => typeof valor === "number" && Number.isFinite(valor);
+const isTexto = (valor) => typeof valor === "string" && valor.trim() !== "";
+
+function checkQuando(quando, campo, erros) {
+  // Espalha as listas para que buracos (posições vazias) contem como inválidos
+  const valido = Array.isArray(quando) && quando.length > 0 &&
+    [...quando].every((alt) => Array.isArray(alt) && alt.length > 0 && [...alt].every(isTexto));
+  if (!valido) erros.push({ campo, mensagem: "Deve ser uma lista de alternativas, cada uma uma lista de termos" });
+}
+
+function checkTextos(dados, campo, erros) {
+  if (!isTexto(dados?.status) || !isTexto(dados?.mensagem)) {
+    erros.push({ campo, mensagem: "Precisa de status e mensagem" });
+  }
+  if (dados?.sugestoes !== undefined && !(Array.isArray(dados.sugestoes) && dados.sugestoes.every(isTexto))) {
+    erros.push({ campo: `${campo}.sugestoes`, mensagem: "Deve ser uma lista de textos" });
+  }
+}
+
+// 🟢 Confere a estrutura das regras; devolve a lista de erros (vazia se ok)
+export function validateRuleset(rs) {
+  const erros = [];
+  if (typeof rs !== "object" || rs === null || Array.isArray(rs)) {
+    return [{ campo: "", mensagem: "As regras devem ser um objeto" }];
+  }
+
+  if (!isNumero(rs.dado?.peso) || !isNumero(rs.dado?.padrao)) {
+    erros.push({ campo: "dado", mensagem: "Precisa de peso e padrao numéricos" });
+  }
+  if (!isNumero(rs.custoPE?.peso)) erros.push({ campo: "custoPE.peso", mensagem: "Deve ser um número" });
+  if (typeof rs.tiposDano !== "object" || rs.tiposDano === null || !Object.values(rs.tiposDano).every(isNumero)) {
+    erros.push({ campo: "tiposDano", mensagem: "Deve ser um objeto { tipo: bônus }" });
+  }
+
+  if (!Array.isArray(rs.regras)) {
+    erros.push({ campo: "regras", mensagem: "Deve ser uma lista" });
+  } else {
+    const ids = new Set();
+    [...rs.regras].forEach((r, i) => {
+      const campo = `regras[${i}]`;
+      if (!isTexto(r?.id)) erros.push({ campo: `${campo}.id`, mensagem: "Obrigatório" });
+      else if (ids.has(r.id)) erros.push({ campo: `${campo}.id`, mensagem: `Id repetido: ${r.id}` });
+      ids.add(r?.id);
+      if (!CAMPOS_REGRA.includes(r?.campo)) {
+        erros.push({ campo: `${campo}.campo`, mensagem: `Deve ser ${CAMPOS_REGRA.join(" ou ")}` });
+      }
+      if (!isNumero(r?.peso)) erros.push({ campo: `${campo}.peso`, mensagem: "Deve ser um número" });
+      checkQuando(r?.quando, `${campo}.quando`, erros);
+    });
+  }
+
+  const pesos = rs.condicoes?.pesos;
+  const heuristicas = rs.condicoes?.heuristicas;
+  if (typeof heuristicas !== "object" || heuristicas === null || Array.isArray(heuristicas)) {
+    erros.push({ campo: "condicoes.heuristicas", mensagem: "Deve ser um objeto { eixo: [heurísticas] }" });
+  }
+  for (const eixo of EIXOS) {
+    if (!isNumero(pesos?.[eixo])) erros.push({ campo: `condicoes.pesos.${eixo}`, mensagem: "Deve ser um número" });
+    const lista = heuristicas?.[eixo] ?? [];
+    if (!Array.isArray(lista)) {
+      erros.push({ campo: `condicoes.heuristicas.${eixo}`, mensagem: "Deve ser uma lista" });
+      continue;
+    }
+    [...lista].forEach((h, i) => {
+      const campo = `condicoes.heuristicas.${eixo}[${i}]`;
+      if (!isNumero(h?.valor) || h.valor < 0 || h.valor > 5) erros.push({ campo: `${campo}.valor`, mensagem: "Deve ser entre 0 e 5" });
+      checkQuando(h?.quando, `${campo}.quando`, erros);
+    });
+  }
+
+  const b = rs.balanco;
+  if (!b || !["limiteMaximo", "divisorRestricao", "fatorMinimo", "percentualMaximo", "poderMaximo", "restricaoMaxima"]
+    .every((campo) => isNumero(b[campo]))) {
+    erros.push({ campo: "balanco", mensagem: "Todos os limites do balanço devem ser números" });
+  } else if (b.limiteMaximo <= 0 || b.divisorRestricao <= 0) {
+    erros.push({ campo: "balanco", mensagem: "limiteMaximo e divisorRestricao devem ser maiores que zero" });
+  }
+
+  const o = rs.orcamento;
+  if (o !== undefined) {
+    if (!isNumero(o?.base) || !isNumero(o?.porNivel) || o.base < 0 || o.porNivel < 0) {
+      erros.push({ campo: "orcamento", mensagem: "base e porNivel devem ser números positivos" });
+    }
+    if (o?.porAura !== undefined && (typeof o.porAura !== "object" || o.porAura === null ||
+      !Object.values(o.porAura).every((m) => isNumero(m) && m > 0))) {
+      erros.push({ campo: "orcamento.porAura", mensagem: "Deve ser um objeto { tipoAura: multiplicador }" });
+    }
+  }
+
+  const cls = rs.classificacao;
+  if (cls?.semRestricao) {
+    if (!isNumero(cls.semRestricao.poderAcima)) {
+      erros.push({ campo: "classificacao.semRestricao.poderAcima", mensagem: "Deve ser um número" });
+    }
+    checkTextos(cls.semRestricao, "classificacao.semRestricao", erros);
+  }
+  if (!Array.isArray(cls?.faixas) || cls.faixas.length === 0) {
+    erros.push({ campo: "classificacao.faixas", mensagem: "Precisa de pelo menos uma faixa" });
+  } else {
+    let anterior = -Infinity;
+    [...cls.faixas].forEach((faixa, i) => {
+      const campo = `classificacao.faixas[${i}]`;
+      const ultima = i === cls.faixas.length - 1;
+      if (ultima ? faixa?.ate !== null : !(isNumero(faixa?.ate) && faixa.ate > anterior)) {
+        erros.push({
+          campo: `${campo}.ate`,
+          mensagem: ultima ? "A última faixa deve ter ate: null" : "Limites das faixas devem ser números crescentes",
+        });
+      }
+      if (!ultima) anterior = faixa?.ate;
+      checkTextos(faixa, campo, erros);
+    });
+  }
+
+  return erros;
+}
+
+// 🟢 Confere o formato de uma habilidade enviada para avaliação (os textos e
+// números são tolerantes; `condicoes` precisa ser uma lista de objetos)
+export function validateSkillInput(hab, campo = "habilidade", erros = []) {
+  if (typeof hab !== "object" || hab === null || Array.isArray(hab)) {
+    erros.push({ campo, mensagem: "Deve ser um objeto" });
+    return erros;
+  }
+  if (hab.condicoes === undefined || hab.condicoes === null) return erros;
+  if (!Array.isArray(hab.condicoes)) {
+    erros.push({ campo: `${campo}.condicoes`, mensagem: "Deve ser uma lista" });
+    return erros;
+  }
+  hab.condicoes.forEach((cond, i) => {
+    if (typeof cond !== "object" || cond === null || Array.isArray(cond)) {
+      erros.push({ campo: `${campo}.condicoes[${i}]`, mensagem: "Deve ser um objeto" });
+    }
+  });
+  return erros;
+}
+
+// ---------- avaliação ----------
+
+const ONDE = { descricao: "na descrição", nome: "no nome" };
+const MAX_SUGESTOES_TERMOS = 3;
+
+const round = (valor) => Math.round(valor * 100) / 100;
+
+// Trechos do texto original que fizeram a alternativa bater
+const trechoDe = (achou) => achou.achados.map((a) => a.trecho).join(" … ");
+
+// Sugestões apontando o que mais subiu o poder, do maior para o menor
+function termSuggestions(detalhamento) {
+  return detalhamento
+    .filter((item) => item.tipo === "poder" && item.pontos > 0)
+    .sort((a, b) => b.pontos - a.pontos)
+    .slice(0, MAX_SUGESTOES_TERMOS)
+    .map((item) => {
+      if (item.regra === "dado") return `O dado d${item.valor} soma +${item.pontos} ao poder; um dado menor equilibra a habilidade`;
+      if (item.regra === "tipoDano") return `O tipo de dano ${item.valor} soma +${item.pontos} ao poder`;
+      return `"${item.trecho}" ${ONDE[item.campo]} soma +${item.pontos} ao poder (${item.rotulo}); reescreva ou limite esse efeito`;
+    });
+}
+
+// 🟢 O que a habilidade tem, segundo as regras: regras que bateram e valores
+// das condições. Não depende dos pesos, então a calibração (ver calibration.js)
+// analisa o texto uma vez só e testa pesos diferentes com scoreSkill.
+export function skillFeatures(habilidade = {}, rs = DEFAULT_RULESET) {
+  const { nome, descricao, dado, tipoDano, custoPE, condicoes } = habilidade;
+  const textos = {
+    descricao: analyze(descricao),
+    nome: analyze(nome),
+  };
+
+  const regras = [];
+  for (const r of rs.regras) {
+    const achou = matchAlternatives(textos[r.campo], r.quando);
+    if (achou) regras.push({ regra: r.id, rotulo: r.rotulo ?? r.id, campo: r.campo, trecho: trechoDe(achou), termos: achou.termos });
+  }
+
+  const analisadas = (condicoes || []).map((cond, indice) => {
+    const descCond = analyze(cond.descricao);
+    const valores = Object.fromEntries(EIXOS.map((eixo) => [eixo, cond[eixo] || 0]));
+    const heuristicas = [];
+
+    // Só analisa se não foi avaliada manualmente
+    const manual = !EIXOS.every((eixo) => valores[eixo] === 0);
+    if (!manual) {
+      for (const eixo of EIXOS) {
+        for (const h of rs.condicoes.heuristicas[eixo] ?? []) {
+          const achou = matchAlternatives(descCond, h.quando);
+          if (!achou) continue;
+          valores[eixo] = h.valor;
+          heuristicas.push({ eixo, valor: h.valor, termos: achou.termos, trecho: trechoDe(achou) });
+          break;
+        }
+      }
+    }
+    return { cond, indice, valores, manual, heuristicas };
+  });
+
+  return { dado: Number(dado) || null, tipoDano, custoPE: Number(custoPE) || 0, regras, condicoes: analisadas };
+}
+
+// 🟢 Aplica pesos, balanço e faixas das regras sobre o resultado de skillFeatures.
+// `detalhamento` lista tudo que entrou na conta:
+//   { tipo: "poder" | "restricao", regra, rotulo, campo, trecho, termos, pontos }
+export function scoreSkill(features, rs = DEFAULT_RULESET) {
+  const detalhamento = [];
+  const pesos = new Map(rs.regras.map((r) => [r.id, r.peso]));
+
+  // Poder base
+  let poderBase = 0;
+  const somarPoder = (item, pontos) => {
+    poderBase += pontos;
+    detalhamento.push({ tipo: "poder", ...item, pontos: round(pontos) });
+  };
+
+  const valorDado = features.dado || rs.dado.padrao;
+  somarPoder({ regra: "dado", rotulo: "Dado de dano", campo: "dado", valor: valorDado }, valorDado * rs.dado.peso);
+  if (Object.hasOwn(rs.tiposDano, features.tipoDano)) {
+    somarPoder({ regra: "tipoDano", rotulo: "Tipo de dano", campo: "tipoDano", valor: features.tipoDano }, rs.tiposDano[features.tipoDano]);
+  }
+  if (features.custoPE) {
+    somarPoder({ regra: "custoPE", rotulo: "Custo de PE", campo: "custoPE", valor: features.custoPE }, features.custoPE * rs.custoPE.peso);
+  }
+  for (const item of features.regras) {
+    if (pesos.has(item.regra)) somarPoder(item, pesos.get(item.regra));
+  }
+
+  // Nível de restrição
+  let nivelRestricao = 0;
+  const condicoesAnalisadas = features.condicoes.map(({ cond, indice, valores, manual, heuristicas }) => {
+    const pesoCond = EIXOS.reduce((soma, eixo) => soma + valores[eixo] * rs.condicoes.pesos[eixo], 0);
+    nivelRestricao += pesoCond;
+    detalhamento.push({
+      tipo: "restricao",
+      regra: "condicao",
+      rotulo: cond.titulo || `Condição ${indice + 1}`,
+      campo: "condicao",
+      indice,
+      trecho: cond.descricao || "",
+      origem: manual ? "manual" : "heuristica",
+      valores,
+      heuristicas,
+      pontos: round(pesoCond),
+    });
+    return { ...cond, ...valores };
+  });
+
+  // Balanceamento
+  const b = rs.balanco;
+  const fatorRestricao = Math.max(b.fatorMinimo, 1 - nivelRestricao / b.divisorRestricao);
+  const poderEfetivo = poderBase * fatorRestricao;
+  const percentual = Math.min((poderEfetivo / b.limiteMaximo) * 100, b.percentualMaximo);
+
+  // Classificação; fora do equilíbrio, as sugestões começam pelos termos que mais pesaram.
+  // `indiceFaixa` é a posição em `faixas`; semRestricao vem depois da última.
+  const { semRestricao, faixas } = rs.classificacao;
+  const indiceFaixa = semRestricao && nivelRestricao === 0 && poderBase > semRestricao.poderAcima
+    ? faixas.length
+    : faixas.findIndex((f) => f.ate === null || percentual <= f.ate);
+  const faixa = indiceFaixa === faixas.length ? semRestricao : faixas[indiceFaixa];
+  const sugestoes = faixa.sugestoes?.length ? [...termSuggestions(detalhamento), ...faixa.sugestoes] : [];
+
+  return {
+    poderBase: Math.min(poderBase, b.poderMaximo),
+    nivelRestricao: Math.min(nivelRestricao, b.restricaoMaxima),
+    percentual,
+    poderEfetivo: round(poderEfetivo),
+    fatorRestricao: round(fatorRestricao),
+    status: faixa.status,
+    mensagem: faixa.mensagem,
+    indiceFaixa,
+    sugestoes,
+    condicoesAnalisadas,
+    detalhamento,
+    versaoRegras: rs.versao,
+  };
+}
+
+// 🟢 Avalia uma habilidade ({ nome, descricao, dado, tipoDano, custoPE, condicoes })
+// com o conjunto de regras informado
+export function evaluateSkill(habilidade = {}, rs = DEFAULT_RULESET) {
+  return scoreSkill(skillFeatures(habilidade, rs), rs);
+}
+
+const MAX_DESEQUILIBRADAS = 3;
+
+// Regras gravadas antes do orçamento existir usam o padrão
+export function powerBudget(ficha, rs = DEFAULT_RULESET) {
+  const o = rs.orcamento ?? DEFAULT_RULESET.orcamento;
+  const nivel = Math.max(1, Number(ficha.nivel) || 1);
+  const multiplicador = Object.hasOwn(o.porAura ?? {}, ficha.tipoAura) ? o.porAura[ficha.tipoAura] : 1;
+  return round((o.base + o.porNivel * (nivel - 1)) * multiplicador);
+}
+
+// 🟢 Avalia todas as habilidades de uma ficha e resume: poder efetivo somado,
+// as mais desequilibradas (acima de 100% do limite ou fortes sem restrição, da
+// pior faixa para a melhor) e se a ficha passa do orçamento do nível/tipo de aura
+export function evaluateSheet(ficha, rs = DEFAULT_RULESET) {
+  const habilidades = (ficha.habilidades ?? []).map((hab, indice) => ({
+    id: hab.id ?? null,
+    indice,
+    nome: hab.nome ?? null,
+    avaliacao: evaluateSkill(hab, rs),
+  }));
+
+  const usado = round(habilidades.reduce((soma, h) => soma + h.avaliacao.poderEfetivo, 0));
+  const limite = powerBudget(ficha, rs);
+  const porStatus = {};
+  for (const h of habilidades) porStatus[h.avaliacao.status] = (porStatus[h.avaliacao.status] ?? 0) + 1;
+
+  const maisDesequilibradas = habilidades
+    .filter((h) => h.avaliacao.percentual > 100 || h.avaliacao.indiceFaixa === rs.classificacao.faixas.length)
+    .sort((a, b) => b.avaliacao.indiceFaixa - a.avaliacao.indiceFaixa || b.avaliacao.percentual - a.avaliacao.percentual)
+    .slice(0, MAX_DESEQUILIBRADAS)
+    .map((h) => ({ id: h.id, indice: h.indice, nome: h.nome, status: h.avaliacao.status, percentual: h.avaliacao.percentual }));
+
+  return {
+    ficha: { id: ficha.id ?? null, nome: ficha.nome ?? null, nivel: Math.max(1, Number(ficha.nivel) || 1), tipoAura: ficha.tipoAura ?? null },
+    habilidades,
+    resumo: {
+      total: habilidades.length,
+      poderEfetivoTotal: usado,
+      orcamento: {
+        limite,
+        usado,
+        restante: round(limite - usado),
+        percentual: limite > 0 ? round((usado / limite) * 100) : null,
+        excedido: usado > limite,
+      },
+      maisDesequilibradas,
+      porStatus,
+    },
+    versaoRegras: rs.versao,
+  };
+}
+
+// 🟢 Regras versionadas no store: um documento por versão (`v1`, `v2`, ...)
+// e o ponteiro `ativa`. Sem ponteiro, vale a DEFAULT_RULESET; as versões que vêm
+// com o código podem ser lidas e ativadas sem estarem gravadas (uma gravada com o
+// mesmo número tem prioridade).
+export function createRulesetService({ store }) {
+  let cache = null;
+
+  const docId = (versao) => `v${versao}`;
+
+  async function get(versao) {
+    const doc = await store.get(RULES_COLLECTION, docId(versao));
+    if (doc) return doc;
+    return BUILTIN_RULESETS.find((rs) => rs.versao === Number(versao)) ?? null;
+  }
+
+  async function current() {
+    if (cache) return cache;
+    const ativa = await store.get(RULES_COLLECTION, ATIVA);
+    cache = (ativa && (await get(ativa.versao))) || DEFAULT_RULESET;
+    return cache;
+  }
+
+  async function list() {
+    const docs = await store.list(RULES_COLLECTION);
+    const ativa = (await current()).versao;
+    const versoes = docs.filter((doc) => doc.id !== ATIVA);
+    for (const rs of BUILTIN_RULESETS) {
+      if (!versoes.some((doc) => doc.versao === rs.versao)) versoes.push(rs);
+    }
+
+    return versoes
+      .map(({ versao, descricao, autor, createdAt }) => ({
+        versao, descricao: descricao ?? null, autor: autor ?? null, createdAt: createdAt ?? null, ativa: versao === ativa,
+      }))
+      .sort((a, b) => b.versao - a.versao);
+  }
+
+  async function activate(versao) {
+    const rs = await get(versao);
+    if (!rs) throw new RulesetError(404, "Versão das regras não encontrada");
+    await store.set(RULES_COLLECTION, ATIVA, { versao: rs.versao });
+    cache = rs;
+    return rs;
+  }
+
+  // Grava uma versão nova e a ativa (`ativar: false` só grava, para revisar antes).
+  // `base` (opcional) é a versão que o mestre editou: se outra foi ativada nesse
+  // meio-tempo, recusa com 409.
+  async function save(dados, user, { base, ativar = true } = {}) {
+    const erros = validateRuleset(dados);
+    if (erros.length) throw new RulesetError(400, "Regras inválidas", erros);
+
+    const atual = await current();
+    if (base !== undefined && base !== null && Number(base) !== atual.versao) {
+      throw new RulesetError(409, "As regras mudaram desde que você as abriu; recarregue antes de salvar", { versao: atual.versao });
+    }
+
+    const maior = Math.max(...(await list()).map((v) => v.versao));
+    const { versao, autor, createdAt, ...conteudo } = dados;
+    const nova = {
+      ...conteudo,
+      versao: maior + 1,
+      autor: user ? { uid: user.uid, email: user.email } : null,
+      createdAt: new Date().toISOString(),
+    };
+
+    await store.set(RULES_COLLECTION, docId(nova.versao), nova);
+    if (ativar) await activate(nova.versao);
+    console.log(`⚖️ Regras de avaliação v${nova.versao} ${ativar ? "ativadas" : "gravadas"} por ${user?.email || "sistema"}`);
+    return nova;
+  }
+
+  return { get, current, list, activate, save };
+}
+
+// 🟢 ROTAS: avaliação (aberta, como antes) e edição das regras (mestre)
+export function createSkillRulesRouter({ rulesets, fichas, auth }) {
+  const router = express.Router();
+
+  const handle = (acao, fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (err) {
+      if (err instanceof RulesetError) {
+        return res.status(err.status).json({ error: err.message, ...(err.detalhes ? { detalhes: err.detalhes } : {}) });
+      }
+      console.error(`❌ Erro ao ${acao}:`, err);
+      res.status(500).json({ error: `Erro ao ${acao}`, message: err.message });
+    }
+  };
+
+  router.post("/api/avaliar-habilidade", handle("avaliar habilidade", async (req, res) => {
+    const habilidade = req.body || {};
+    const erros = validateSkillInput(habilidade);
+    if (erros.length) throw new RulesetError(400, "Habilidade inválida", erros);
+    res.json(evaluateSkill(habilidade, await rulesets.current()));
+  }));
+
+  // Ficha inteira numa chamada: { ficha: { nome, nivel, tipoAura, habilidades } }
+  // ou { fichaId } (email) para avaliar a ficha gravada (só dono ou mestre)
+  router.post("/api/avaliar-ficha", auth.requireAuth, handle("avaliar ficha", async (req, res) => {
+    const dados = req.body || {};
+    let ficha = dados.ficha;
+
+    if (dados.fichaId !== undefined) {
+      if (!canWriteFicha(req.user, dados.fichaId)) {
+        throw new RulesetError(403, "Só o dono da ficha ou o mestre podem avaliá-la");
+      }
+      ficha = await fichas.get(dados.fichaId);
+      if (!ficha) throw new RulesetError(404, "Ficha não encontrada");
+    }
+
+    if (typeof ficha !== "object" || ficha === null || !Array.isArray(ficha.habilidades)) {
+      throw new RulesetError(400, "Envie a ficha com a lista de habilidades ou o fichaId");
+    }
+    if (ficha.habilidades.length > FICHA_LIMITS.habilidades) {
+      throw new RulesetError(400, `No máximo ${FICHA_LIMITS.habilidades} habilidades por ficha`);
+    }
+    const erros = [];
+    ficha.habilidades.forEach((hab, i) => validateSkillInput(hab, `habilidades[${i}]`, erros));
+    if (erros.length) throw new RulesetError(400, "Habilidades inválidas", erros);
+
+    res.json(evaluateSheet(ficha, await rulesets.current()));
+  }));
+
+  router.get("/api/avaliacao/regras", auth.requireMestre, handle("ler regras", async (req, res) => {
+    res.json(await rulesets.current());
+  }));
+
+  router.get("/api/avaliacao/regras/versoes", auth.requireMestre, handle("listar versões das regras", async (req, res) => {
+    res.json({ versoes: await rulesets.list() });
+  }));
+
+  router.get("/api/avaliacao/regras/versoes/:versao", auth.requireMestre, handle("ler regras", async (req, res) => {
+    const rs = await rulesets.get(req.params.versao);
+    if (!rs) throw new RulesetError(404, "Versão das regras não encontrada");
+    res.json(rs);
+  }));
+
+  // Corpo: as regras completas; `versao` no corpo é a versão de onde a edição partiu
+  router.put("/api/avaliacao/regras", auth.requireMestre, handle("salvar regras", async (req, res) => {
+    const dados = req.body || {};
+    res.json(await rulesets.save(dados, req.user, { base: dados.versao }));
+  }));
+
+  // Volta (ou avança) para uma versão já gravada
+  router.post("/api/avaliacao/regras/versoes/:versao/ativar", auth.requireMestre, handle("ativar regras", async (req, res) => {
+    res.json(await rulesets.activate(req.params.versao));
+  }));
+
+  return router;
+}
@@ -0,0 +1,184 @@
+import express from "express";
+import { socketError, SOCKET_ERRORS } from "./permissions.js";
+import { activeScene, DEFAULT_SCENE } from "./scenes.js";
+import { createFogState } from "./visibility.js";
+
+/* ===============================
+   📸 SNAPSHOTS DO GRID
+================================ */
+
+const SNAPSHOTS_COLLECTION = "snapshots";
+
+// O snapshot existe mas não pode ser restaurado (ex.: a cena dele foi apagada)
+export class SnapshotError extends Error {}
+
+function snapshotId(roomId, nome) {
+  return `${roomId}__${nome}`;
+}
+
+// Nome do snapshot vira parte do ID do documento, então limitamos os caracteres
+function normalizeNome(raw) {
+  return String(raw ?? "").trim().replace(/[\/\\#?]/g, "-").slice(0, 80);
+}
+
+// 🟢 Salva, lista e restaura estados nomeados do grid de uma sala: tokens e
+// névoa da cena ativa, restaurados depois na mesma cena
+export function createSnapshotService({ store, rooms }) {
+  async function save(roomId, rawNome, autor = null) {
+    const nome = normalizeNome(rawNome);
+    if (!nome) throw new Error("Nome do snapshot é obrigatório");
+
+    const room = await rooms.get(roomId);
+    const cena = activeScene(room);
+    const snapshot = {
+      sala: room.id,
+      nome,
+      autor,
+      cena: cena.id,
+      tokens: structuredClone(cena.tokens),
+      fog: structuredClone(cena.fog),
+      createdAt: new Date().toISOString(),
+    };
+
+    await store.set(SNAPSHOTS_COLLECTION, snapshotId(room.id, nome), snapshot);
+    console.log(`📸 Snapshot "${nome}" salvo na sala ${room.id}`);
+    return snapshot;
+  }
+
+  async function list(roomId) {
+    const room = await rooms.get(roomId);
+    const snapshots = await store.list(SNAPSHOTS_COLLECTION, {
+      where: { sala: room.id },
+      orderBy: "createdAt",
+      direction: "desc",
+    });
+
+    // A listagem não precisa carregar todos os tokens nem a névoa
+    return snapshots.map(({ id, tokens, fog, ...resto }) => ({
+      ...resto,
+      totalTokens: tokens?.length || 0,
+    }));
+  }
+
+  // Substitui tokens e névoa da cena onde o snapshot foi tirado e devolve
+  // { room, cena } atualizados. Snapshots de antes das cenas são da principal;
+  // os de antes da névoa mantêm a névoa atual.
+  async function restore(roomId, rawNome) {
+    const room = await rooms.get(roomId);
+    const nome = normalizeNome(rawNome);
+    const snapshot = await store.get(SNAPSHOTS_COLLECTION, snapshotId(room.id, nome));
+    if (!snapshot) return null;
+
+    const cena = room.cenas.get(snapshot.cena ?? DEFAULT_SCENE);
+    if (!cena) throw new SnapshotError("A cena deste snapshot não existe mais");
+
+    cena.tokens = structuredClone(snapshot.tokens || []);
+    if (Array.isArray(snapshot.fog?.regioes)) cena.fog = { ...createFogState(), ...structuredClone(snapshot.fog) };
+    cena.fieldVersions.clear();
+    cena.history = [];
+    await rooms.save(room);
+    console.log(`📸 Snapshot "${nome}" restaurado na cena ${cena.id} da sala ${room.id}`);
+    return { room, cena };
+  }
+
+  async function remove(roomId, rawNome) {
+    const room = await rooms.get(roomId);
+    await store.delete(SNAPSHOTS_COLLECTION, snapshotId(room.id, normalizeNome(rawNome)));
+  }
+
+  return { save, list, restore, remove };
+}
+
+// 🟢 ROTAS REST: /api/salas/:sala/snapshots
+// `onRestore(room, cena)` avisa os clientes conectados que o grid da cena mudou
+export function createSnapshotRouter({ snapshots, onRestore }) {
+  const router = express.Router();
+
+  router.get("/api/salas/:sala/snapshots", async (req, res) => {
+    try {
+      res.json({ snapshots: await snapshots.list(req.params.sala) });
+    } catch (err) {
+      console.error("❌ Erro ao listar snapshots:", err);
+      res.status(500).json({ error: "Erro ao listar snapshots", message: err.message });
+    }
+  });
+
+  router.post("/api/salas/:sala/snapshots", async (req, res) => {
+    try {
+      const { nome } = req.body;
+      if (!normalizeNome(nome)) {
+        return res.status(400).json({ error: "Nome do snapshot é obrigatório" });
+      }
+
+      const { tokens, ...snapshot } = await snapshots.save(req.params.sala, nome, req.user?.email);
+      res.json({ success: true, snapshot: { ...snapshot, totalTokens: tokens.length } });
+    } catch (err) {
+      console.error("❌ Erro ao salvar snapshot:", err);
+      res.status(500).json({ error: "Erro ao salvar snapshot", message: err.message });
+    }
+  });
+
+  router.post("/api/salas/:sala/snapshots/:nome/restaurar", async (req, res) => {
+    try {
+      const restaurado = await snapshots.restore(req.params.sala, req.params.nome);
+      if (!restaurado) return res.status(404).json({ error: "Snapshot não encontrado" });
+
+      onRestore(restaurado.room, restaurado.cena);
+      res.json({ success: true, cena: restaurado.cena.id, tokens: restaurado.cena.tokens });
+    } catch (err) {
+      if (err instanceof SnapshotError) return res.status(409).json({ error: err.message });
+      console.error("❌ Erro ao restaurar snapshot:", err);
+      res.status(500).json({ error: "Erro ao restaurar snapshot", message: err.message });
+    }
+  });
+
+  router.delete("/api/salas/:sala/snapshots/:nome", async (req, res) => {
+    try {
+      await snapshots.remove(req.params.sala, req.params.nome);
+      res.json({ success: true });
+    } catch (err) {
+      console.error("❌ Erro ao deletar snapshot:", err);
+      res.status(500).json({ error: "Erro ao deletar snapshot", message: err.message });
+    }
+  });
+
+  return router;
+}
+
+// 🟢 EVENTOS DE SOCKET: save-snapshot, list-snapshots, restore-snapshot
+// `on` registra o evento já com a checagem de permissão; `getRoom()` devolve a sala atual do socket
+export function registerSnapshotHandlers(on, { snapshots, getRoom, getUser, onRestore }) {
+  const reply = (ack, payload) => {
+    if (typeof ack === "function") ack(payload);
+  };
+  const fail = (ack, code, err) => reply(ack, socketError(code, err.message || err));
+
+  on("save-snapshot", async (nome, ack) => {
+    try {
+      const { tokens, ...snapshot } = await snapshots.save(getRoom().id, nome, getUser()?.email);
+      reply(ack, { ok: true, snapshot: { ...snapshot, totalTokens: tokens.length } });
+    } catch (err) {
+      fail(ack, SOCKET_ERRORS.INVALID_PAYLOAD, err);
+    }
+  });
+
+  on("list-snapshots", async (ack) => {
+    try {
+      reply(ack, { ok: true, snapshots: await snapshots.list(getRoom().id) });
+    } catch (err) {
+      fail(ack, SOCKET_ERRORS.INVALID_PAYLOAD, err);
+    }
+  });
+
+  on("restore-snapshot", async (nome, ack) => {
+    try {
+      const restaurado = await snapshots.restore(getRoom().id, nome);
+      if (!restaurado) return fail(ack, SOCKET_ERRORS.NOT_FOUND, "Snapshot não encontrado");
+
+      onRestore(restaurado.room, restaurado.cena);
+      reply(ack, { ok: true, cena: restaurado.cena.id });
+    } catch (err) {
+      fail(ack, err instanceof SnapshotError ? SOCKET_ERRORS.CONFLICT : SOCKET_ERRORS.INVALID_PAYLOAD, err);
+    }
+  });
+}
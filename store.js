@@ -0,0 +1,167 @@
+import path from "path";
+import fs from "fs";
+import { FieldPath } from "firebase-admin/firestore";
+
+/* ===============================
+   💾 ARMAZENAMENTO (DRIVERS)
+================================ */
+
+// Interface comum dos drivers:
+//   get(colecao, id)           -> documento ou null
+//   set(colecao, id, dados)    -> grava (substitui) o documento
+//   delete(colecao, id)        -> remove o documento
+//   list(colecao, { where, orderBy, direction, startAfter, limit }) -> [{ id, ...dados }]
+// `where` aceita apenas igualdade: { campo: valor }
+// `startAfter` é um cursor no campo de `orderBy` (paginação)
+
+function applyQuery(docs, { where, orderBy, direction = "asc", startAfter, limit } = {}) {
+  let result = docs;
+
+  if (where) {
+    result = result.filter((doc) =>
+      Object.entries(where).every(([campo, valor]) => doc[campo] === valor)
+    );
+  }
+
+  if (orderBy) {
+    const sinal = direction === "desc" ? -1 : 1;
+    result = [...result].sort((a, b) => {
+      if (a[orderBy] === b[orderBy]) return 0;
+      return a[orderBy] > b[orderBy] ? sinal : -sinal;
+    });
+
+    if (startAfter !== undefined && startAfter !== null) {
+      result = result.filter((doc) =>
+        direction === "desc" ? doc[orderBy] < startAfter : doc[orderBy] > startAfter
+      );
+    }
+  }
+
+  if (limit) result = result.slice(0, limit);
+
+  return result;
+}
+
+// 🟢 DRIVER LOCAL: um arquivo JSON por coleção dentro de `dir`
+export function createFileStore({ dir }) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const cache = new Map();
+  const writes = new Map();
+
+  function fileFor(colecao) {
+    return path.join(dir, `${colecao.replace(/[^a-zA-Z0-9_-]/g, "_")}.json`);
+  }
+
+  async function load(colecao) {
+    if (cache.has(colecao)) return cache.get(colecao);
+
+    let docs = {};
+    try {
+      docs = JSON.parse(await fs.promises.readFile(fileFor(colecao), "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error(`❌ Erro ao ler coleção ${colecao}:`, err.message);
+      }
+    }
+
+    cache.set(colecao, docs);
+    return docs;
+  }
+
+  // Grava em arquivo temporário e renomeia, uma escrita por vez por coleção
+  function persist(colecao) {
+    const anterior = writes.get(colecao) || Promise.resolve();
+    const atual = anterior.then(async () => {
+      const file = fileFor(colecao);
+      const tmp = `${file}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(cache.get(colecao), null, 2));
+      await fs.promises.rename(tmp, file);
+    });
+
+    writes.set(colecao, atual.catch((err) => {
+      console.error(`❌ Erro ao gravar coleção ${colecao}:`, err.message);
+    }));
+
+    return atual;
+  }
+
+  return {
+    driver: "file",
+
+    async get(colecao, id) {
+      const docs = await load(colecao);
+      return docs[id] ? structuredClone(docs[id]) : null;
+    },
+
+    async set(colecao, id, dados) {
+      const docs = await load(colecao);
+      docs[id] = structuredClone(dados);
+      await persist(colecao);
+    },
+
+    async delete(colecao, id) {
+      const docs = await load(colecao);
+      delete docs[id];
+      await persist(colecao);
+    },
+
+    async list(colecao, query) {
+      const docs = await load(colecao);
+      const lista = Object.entries(docs).map(([id, dados]) => ({ id, ...structuredClone(dados) }));
+      return applyQuery(lista, query);
+    },
+  };
+}
+
+// 🟢 DRIVER FIRESTORE: cada coleção vira uma coleção do Firestore
+export function createFirestoreStore({ db }) {
+  return {
+    driver: "firestore",
+
+    async get(colecao, id) {
+      const doc = await db.collection(colecao).doc(id).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async set(colecao, id, dados) {
+      await db.collection(colecao).doc(id).set(dados);
+    },
+
+    async delete(colecao, id) {
+      await db.collection(colecao).doc(id).delete();
+    },
+
+    // Filtro, ordem, cursor e limite vão na consulta: só a página pedida sai do
+    // Firestore. `orderBy: "id"` ordena pelo id do documento. Filtrar por um campo
+    // e ordenar por outro pede um índice composto (o erro do Firestore traz o link
+    // para criá-lo), ex.: mensagens (sala, canal, __name__ desc), rolagens e
+    // snapshots (sala, createdAt desc).
+    async list(colecao, { where, orderBy, direction = "asc", startAfter, limit } = {}) {
+      let ref = db.collection(colecao);
+      for (const [campo, valor] of Object.entries(where || {})) {
+        ref = ref.where(campo, "==", valor);
+      }
+      if (orderBy) {
+        ref = ref.orderBy(orderBy === "id" ? FieldPath.documentId() : orderBy, direction);
+        if (startAfter !== undefined && startAfter !== null) ref = ref.startAfter(startAfter);
+      }
+      if (limit) ref = ref.limit(limit);
+
+      const snapshot = await ref.get();
+      return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    },
+  };
+}
+
+// Escolhe o driver pela configuração (STORE_DRIVER=file|firestore)
+export function createStore({ driver = "file", dir, db } = {}) {
+  switch (driver) {
+    case "firestore":
+      return createFirestoreStore({ db });
+    case "file":
+      return createFileStore({ dir });
+    default:
+      throw new Error(`Driver de armazenamento desconhecido: ${driver}`);
+  }
+}
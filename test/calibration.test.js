@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { calibrate, verdictBands, prepareSamples, measureAgreement, createCalibrationRouter, CALIBRATION_ENDPOINT_LIMITS } from "../calibration.js";
+import { DEFAULT_RULESET, evaluateSkill } from "../skillRules.js";
+
+test("verdictBands entende status, percentual e equilibrada", () => {
+  assert.deepEqual(verdictBands({ status: "bem equilibrada" }, DEFAULT_RULESET), [1]);
+  assert.deepEqual(verdictBands({ status: "Muito Desequilibrada 🔴🔴" }, DEFAULT_RULESET), [5]);
+  assert.deepEqual(verdictBands({ percentual: 120 }, DEFAULT_RULESET), [3]);
+  assert.deepEqual(verdictBands({ equilibrada: true }, DEFAULT_RULESET), [0, 1, 2]);
+  assert.equal(verdictBands({ status: "legal" }, DEFAULT_RULESET), null);
+});
+
+test("a faixa calculada é a da avaliação, com semRestricao na última", () => {
+  const rs = structuredClone(DEFAULT_RULESET);
+  rs.balanco.poderMaximo = rs.classificacao.semRestricao.poderAcima - 1;
+  const docs = [{ id: "forte", habilidade: { nome: "Forte", dado: 12 }, avaliacaoMestre: { status: rs.classificacao.semRestricao.status } }];
+
+  const { resultados } = measureAgreement(prepareSamples(docs, rs).amostras, rs);
+  assert.equal(resultados[0].obtida, rs.classificacao.faixas.length - 1);
+  assert.equal(resultados[0].acertou, true);
+});
+
+test("calibrate aproxima as regras dos vereditos do mestre", () => {
+  // O "mestre" acha teleporte muito mais forte do que as regras padrão
+  const mestre = structuredClone(DEFAULT_RULESET);
+  mestre.regras.find((r) => r.id === "teleporte").peso = 6;
+
+  const docs = [];
+  for (let dado = 1; dado <= 8; dado++) {
+    for (const descricao of ["faz um teleporte", "soco simples", "cria um escudo"]) {
+      const habilidade = { nome: `${descricao} d${dado}`, descricao, dado };
+      docs.push({ id: `${descricao}-${dado}`, habilidade, avaliacaoMestre: { status: evaluateSkill(habilidade, mestre).status } });
+    }
+  }
+  docs.push({ id: "sem-veredito", habilidade: { nome: "x" }, avaliacaoMestre: {} });
+
+  const { candidata, relatorio } = calibrate(docs, DEFAULT_RULESET);
+  assert.equal(relatorio.amostras, 24);
+  assert.deepEqual(relatorio.ignoradas, [{ id: "sem-veredito", motivo: "Veredito do mestre não reconhecido" }]);
+  assert.ok(relatorio.depois.acuracia > relatorio.antes.acuracia);
+  assert.ok(candidata.regras.find((r) => r.id === "teleporte").peso > 2);
+  assert.equal(candidata.calibracao.base, DEFAULT_RULESET.versao);
+  assert.equal(candidata.versao, undefined);
+});
+
+test("a rota de calibração só carrega as avaliações mais recentes e limita as rodadas", async () => {
+  const pedidos = [];
+  const app = express();
+  app.use(express.json());
+  app.use(createCalibrationRouter({
+    rulesets: { current: async () => DEFAULT_RULESET },
+    loadTraining: async (opcoes) => {
+      pedidos.push(opcoes);
+      return [{ id: "a", habilidade: { nome: "Soco", descricao: "soco", dado: 2 }, avaliacaoMestre: { percentual: 30 } }];
+    },
+    auth: { requireMestre: (req, res, next) => next() },
+  }));
+  const server = app.listen(0);
+
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/avaliacao/calibrar`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ rodadas: 50 }),
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual((await res.json()).limites, CALIBRATION_ENDPOINT_LIMITS);
+    assert.deepEqual(pedidos, [{ limite: CALIBRATION_ENDPOINT_LIMITS.amostras }]);
+  } finally {
+    server.close();
+  }
+});
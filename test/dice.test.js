@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rollDice, parseDice, DiceError, DICE_LIMITS } from "../dice.js";
+
+// Devolve os valores na ordem pedida; depois do último repete o menor possível
+function sequencia(...valores) {
+  const fila = [...valores];
+  return () => (fila.length ? fila.shift() : 1);
+}
+
+test("soma dados e constantes e monta o texto", () => {
+  const r = rollDice("3d6+2", { random: sequencia(4, 2, 6) });
+  assert.equal(r.total, 14);
+  assert.equal(r.texto, "3d6+2 = [4, 2, 6] + 2 = 14");
+});
+
+test("quantidade omitida, d%, maiúsculas, espaços e sinal negativo", () => {
+  assert.equal(rollDice("d20", { random: sequencia(9) }).total, 9);
+  assert.equal(parseDice("d%")[0].faces, 100);
+  const r = rollDice(" 2D8 - 1d4 - 3 ", { random: sequencia(5, 7, 2) });
+  assert.equal(r.total, 7);
+  assert.equal(r.texto, "2D8 - 1d4 - 3 = [5, 7] - [2] - 3 = 7");
+});
+
+test("kh/kl mantêm os maiores ou os menores e marcam os descartados", () => {
+  const alto = rollDice("4d6kh3", { random: sequencia(1, 5, 3, 6) });
+  assert.equal(alto.total, 14);
+  assert.equal(alto.texto, "4d6kh3 = [~1~, 5, 3, 6] = 14");
+
+  assert.equal(rollDice("2d20kl1", { random: sequencia(15, 4) }).total, 4);
+  assert.equal(rollDice("2d20k", { random: sequencia(15, 4) }).total, 15);
+});
+
+test("vantagem e desvantagem, também como atalho", () => {
+  assert.equal(rollDice("d20adv", { random: sequencia(3, 17) }).total, 17);
+  assert.equal(rollDice("d20dis", { random: sequencia(3, 17) }).total, 3);
+  assert.equal(rollDice("adv+5", { random: sequencia(3, 17) }).total, 22);
+  assert.equal(rollDice("desvantagem-1", { random: sequencia(3, 17) }).total, 2);
+});
+
+test("dados explosivos rolam de novo no máximo, até o limite de explosões", () => {
+  const r = rollDice("2d6!", { random: sequencia(6, 6, 2, 4) });
+  assert.equal(r.total, 18);
+  assert.equal(r.texto, "2d6! = [6!, 6!, 2, 4] = 18");
+
+  const sempreSeis = rollDice("1d6!", { random: () => 6 });
+  assert.equal(sempreSeis.partes[0].dados.length, DICE_LIMITS.explosoes + 1);
+});
+
+test("limites de dados, faces, termos e de quantos manter", () => {
+  assert.doesNotThrow(() => parseDice(`${DICE_LIMITS.dados}d${DICE_LIMITS.faces}`));
+  assert.throws(() => parseDice(`${DICE_LIMITS.dados + 1}d6`), DiceError);
+  assert.throws(() => parseDice("0d6"), DiceError);
+  assert.throws(() => parseDice(`1d${DICE_LIMITS.faces + 1}`), DiceError);
+  assert.throws(() => parseDice("1d1"), DiceError);
+  assert.throws(() => parseDice(Array(DICE_LIMITS.termos + 1).fill("1").join("+")), DiceError);
+  assert.throws(() => parseDice("2d6kh3"), DiceError);
+  assert.throws(() => parseDice("2d6kl0"), DiceError);
+  // Vantagem dobra os dados: 51d20adv rola 102
+  assert.throws(() => parseDice(`${DICE_LIMITS.dados / 2 + 1}d20adv`), DiceError);
+});
+
+test("notação inválida é recusada com DiceError", () => {
+  for (const notacao of ["", "   ", null, "abc", "1d20+1.5", "d20+", "+", "2d", "1d20x", "1d20 kh2 adv"]) {
+    assert.throws(() => rollDice(notacao), DiceError, String(notacao));
+  }
+});
+
+test("sem random trocado os resultados ficam entre 1 e o número de faces", () => {
+  for (let i = 0; i < 50; i++) {
+    const { total } = rollDice("1d4");
+    assert.ok(total >= 1 && total <= 4);
+  }
+});
@@ -0,0 +1,355 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import {
+  DEFAULT_RULESET, RULESET_V1, evaluateSkill, evaluateSheet, powerBudget, validateRuleset,
+  createRulesetService, createSkillRulesRouter,
+} from "../skillRules.js";
+import { createFileStore } from "../store.js";
+
+// Regras de poder que dispararam para uma habilidade
+function disparadas(habilidade) {
+  return evaluateSkill(habilidade).detalhamento
+    .filter((item) => item.tipo === "poder" && !["dado", "tipoDano", "custoPE"].includes(item.regra))
+    .map((item) => item.regra);
+}
+
+// Para cada regra: textos que devem disparar e textos parecidos que não
+const CASOS = {
+  "morte-instantanea": {
+    dispara: ["Mata instantaneamente o alvo", "causa morte instantânea", "mata qualquer criatura", "consegue matar tudo", "mata todos os inimigos"],
+    nao: ["não mata instantaneamente", "todos os inimigos fogem, ninguém mata"],
+  },
+  "morte-garantida": {
+    dispara: ["morte certa para o alvo", "mata na hora", "ataque sem chance de defesa", "é impossível de sobreviver"],
+    nao: ["não é morte certa", "mata o alvo na hora errada"],
+  },
+  "area-massiva": {
+    dispara: ["causa dano a todos", "destrói todos os prédios", "todos os inimigos morrem e ele mata"],
+    nao: ["todos aplaudem", "não causa dano a todos"],
+  },
+  invencibilidade: {
+    dispara: ["fica invencível", "imune a tudo", "nada pode atingir o usuário", "torna-se invulnerável"],
+    nao: ["não fica invencível", "nada pode ser feito para atingir o alvo"],
+  },
+  "controle-mente": {
+    dispara: ["controla a mente do alvo", "Controlar mentes"],
+    nao: ["não controla a mente de ninguém", "controla o fogo", "controla o alvo e o faz mentir"],
+  },
+  "controle-tempo": {
+    dispara: ["controla o tempo por 3 segundos"],
+    nao: ["controla a chama por um instante", "não controla o tempo"],
+  },
+  "controle-realidade": {
+    dispara: ["controla a realidade ao redor"],
+    nao: ["nunca controla a realidade"],
+  },
+  teleporte: {
+    dispara: ["faz um teleporte curto", "usa teletransporte", "Teleporta até o alvo"],
+    nao: ["teleférico", "não permite teleporte"],
+  },
+  invisibilidade: {
+    dispara: ["fica invisível", "concede invisibilidade", "fica invisivel"],
+    nao: ["jamais fica invisível", "visível para todos"],
+  },
+  "cura-total": {
+    dispara: ["cura tudo", "cura ferimentos, veneno e tudo mais"],
+    nao: ["cura só ferimentos leves", "não cura tudo"],
+  },
+  ressurreicao: {
+    dispara: ["ressuscita um aliado", "ressurreição de aliados"],
+    nao: ["não ressuscita ninguém"],
+  },
+  paralisia: {
+    dispara: ["paralisa o alvo", "causa paralisia", "paralisando o inimigo"],
+    nao: ["não paralisa", "parábola"],
+  },
+  "dano-massivo": {
+    dispara: ["causa dano massivo", "dano devastador", "danos massivos"],
+    nao: ["dano moderado", "não causa dano massivo"],
+  },
+  "dano-alto": {
+    dispara: ["dano alto", "dano grande"],
+    nao: ["dano baixo", "altura do dano"],
+  },
+  explosao: {
+    dispara: ["cria uma explosão", "explosões em cadeia", "explosao de aura"],
+    nao: ["não causa explosão", "explosivo"],
+  },
+  "corte-profundo": {
+    dispara: ["um corte profundo", "cortes profundos"],
+    nao: ["corte raso"],
+  },
+  defesa: {
+    dispara: ["cria um escudo", "aumenta a defesa"],
+    nao: ["não serve de escudo", "escudeiro"],
+  },
+  barreira: {
+    dispara: ["ergue uma barreira", "barreiras de aura"],
+    nao: ["não cria barreira"],
+  },
+  "nome-morte": {
+    nome: true,
+    dispara: ["Dedo da Morte", "Destruição Total"],
+    nao: ["Mortadela", "Construção"],
+  },
+  "nome-apocalipse": {
+    nome: true,
+    dispara: ["Juízo Final", "Apocalipse Rubro"],
+    nao: ["Juízo Inicial"],
+  },
+  "nome-divino": {
+    nome: true,
+    dispara: ["Punho de Deus", "Toque Divino"],
+    nao: ["Adeus", "Divindade"],
+  },
+};
+
+const habilidadeCom = (caso, texto) => (caso.nome ? { nome: texto, descricao: "" } : { nome: "", descricao: texto });
+
+test("toda regra de poder tem casos de regressão", () => {
+  assert.deepEqual(Object.keys(CASOS).sort(), DEFAULT_RULESET.regras.map((r) => r.id).sort());
+});
+
+for (const [id, caso] of Object.entries(CASOS)) {
+  test(`regra ${id}`, () => {
+    for (const texto of caso.dispara) {
+      assert.ok(disparadas(habilidadeCom(caso, texto)).includes(id), `deveria disparar: "${texto}"`);
+    }
+    for (const texto of caso.nao) {
+      assert.ok(!disparadas(habilidadeCom(caso, texto)).includes(id), `não deveria disparar: "${texto}"`);
+    }
+  });
+}
+
+// Heurísticas de condição: texto -> valor esperado no eixo
+const HEURISTICAS = {
+  dificuldade: [
+    ["precisa fazer 50 pulos antes", 4], ["leva 1 hora de preparo", 4], ["requer concentração", 2],
+    ["precisa meditar", 2], ["precisa gritar o nome", 1], ["nada especial", 0],
+  ],
+  janela: [
+    ["só durante o eclipse", 5], ["apenas na lua cheia", 5], ["só pode ser usada uma vez por dia", 4],
+    ["1 vez ao dia", 4], ["só à noite", 3], ["na escuridão total", 3], ["só de manhã", 2], ["diamante na mão", 0],
+  ],
+  custo: [
+    ["consome 5 pontos de vida", 5], ["exige sangue", 5], ["causa cansaço extremo", 3],
+    ["gasta 10 PE", 2], ["perde o controle", 0], ["não consome vida", 0],
+  ],
+  risco: [
+    ["tem chance de morrer", 5], ["pode falhar", 3], ["chance de errar", 3],
+    ["causa dano colateral", 2], ["atinge aliados", 2], ["protege uma aliada", 2], ["seguro", 0], ["só funciona ali", 0],
+  ],
+};
+
+for (const [eixo, casos] of Object.entries(HEURISTICAS)) {
+  test(`heurísticas de condição: ${eixo}`, () => {
+    for (const [descricao, esperado] of casos) {
+      const [analisada] = evaluateSkill({ condicoes: [{ descricao }] }).condicoesAnalisadas;
+      assert.equal(analisada[eixo], esperado, `"${descricao}"`);
+    }
+  });
+}
+
+test("condições com pesos manuais não passam pelas heurísticas", () => {
+  const [analisada] = evaluateSkill({ condicoes: [{ descricao: "consome vida", risco: 1 }] }).condicoesAnalisadas;
+  assert.deepEqual([analisada.dificuldade, analisada.janela, analisada.custo, analisada.risco], [0, 0, 0, 1]);
+});
+
+test("poder base soma dado, tipo de dano, custo de PE e regras", () => {
+  const r = evaluateSkill({ descricao: "explosão", dado: 6, tipoDano: "Aurano", custoPE: 10 });
+  assert.equal(r.poderBase, 6 * 0.5 + 1.5 - 10 * 0.15 + 2);
+  assert.equal(r.nivelRestricao, 0);
+  assert.equal(r.versaoRegras, DEFAULT_RULESET.versao);
+});
+
+test("classificação usa as faixas de percentual", () => {
+  assert.equal(evaluateSkill({ dado: 1 }).status, "Perfeitamente Equilibrada ✅✅");
+  assert.equal(evaluateSkill({ dado: 3 }).status, "Bem Equilibrada ✅");
+  assert.equal(evaluateSkill({ dado: 5 }).status, "Equilibrada ✅");
+  assert.equal(evaluateSkill({ dado: 7 }).status, "Pouco Equilibrada ⚠️");
+  assert.equal(evaluateSkill({ dado: 8 }).status, "Desequilibrada 🔴");
+  assert.equal(evaluateSkill({ dado: 20, condicoes: [{ descricao: "x", risco: 1 }] }).status, "Extremamente Desequilibrada 🔴🔴");
+  assert.equal(evaluateSkill({ descricao: "mata instantaneamente", dado: 1 }).status, "Muito Desequilibrada 🔴🔴");
+});
+
+test("restrições reduzem o percentual até o fator mínimo", () => {
+  const livre = evaluateSkill({ dado: 6 });
+  const restrita = evaluateSkill({ dado: 6, condicoes: [{ descricao: "x", dificuldade: 5, janela: 5, custo: 5, risco: 5 }] });
+  assert.equal(restrita.fatorRestricao, 0.15);
+  assert.ok(Math.abs(restrita.percentual - livre.percentual * 0.15) < 1e-9);
+});
+
+test("sugestões apontam os termos que mais subiram o poder", () => {
+  const r = evaluateSkill({ descricao: "Controla o tempo e causa dano massivo", dado: 1 });
+  assert.match(r.sugestoes[0], /^"Controla … tempo" na descrição soma \+5/);
+  assert.match(r.sugestoes[1], /^"dano massivo" na descrição soma \+4/);
+});
+
+test("habilidades equilibradas não recebem sugestões", () => {
+  assert.deepEqual(evaluateSkill({ dado: 1 }).sugestoes, []);
+});
+
+test("as regras padrão são válidas e regras quebradas são recusadas", () => {
+  assert.deepEqual(validateRuleset(DEFAULT_RULESET), []);
+  const quebrada = { ...DEFAULT_RULESET, regras: [{ id: "x", campo: "outro", peso: "1", quando: [] }] };
+  assert.deepEqual(validateRuleset(quebrada).map((e) => e.campo), ["regras[0].campo", "regras[0].peso", "regras[0].quando"]);
+});
+
+test("regras incompletas são recusadas pela validação ou avaliadas sem erro", () => {
+  const hab = {
+    nome: "Deus da Morte",
+    descricao: "mata instantaneamente e cria um escudo",
+    dado: 6,
+    tipoDano: "Psíquico",
+    custoPE: 3,
+    condicoes: [{ descricao: "uma vez por dia, com chance de morrer" }, { descricao: "x", risco: 2 }],
+  };
+
+  const semHeuristicas = structuredClone(DEFAULT_RULESET);
+  delete semHeuristicas.condicoes.heuristicas;
+  assert.deepEqual(validateRuleset(semHeuristicas).map((e) => e.campo), ["condicoes.heuristicas"]);
+
+  // Tira (ou troca por null) cada seção e campo das regras, um de cada vez
+  const caminhos = [];
+  const percorrer = (obj, caminho) => {
+    if (typeof obj !== "object" || obj === null) return;
+    for (const chave of Object.keys(obj)) {
+      caminhos.push([...caminho, chave]);
+      percorrer(obj[chave], [...caminho, chave]);
+    }
+  };
+  percorrer(DEFAULT_RULESET, []);
+
+  for (const caminho of caminhos) {
+    for (const remover of [true, false]) {
+      const rs = structuredClone(DEFAULT_RULESET);
+      const pai = caminho.slice(0, -1).reduce((obj, chave) => obj[chave], rs);
+      if (remover) delete pai[caminho.at(-1)];
+      else pai[caminho.at(-1)] = null;
+      if (validateRuleset(rs).length) continue;
+
+      assert.doesNotThrow(() => {
+        evaluateSkill(hab, rs);
+        evaluateSkill({}, rs);
+        evaluateSheet({ habilidades: [hab] }, rs);
+      }, `${caminho.join(".")} ${remover ? "removido" : "null"}`);
+    }
+  }
+});
+
+test("orçamento de poder cresce com o nível e respeita o tipo de aura", () => {
+  assert.equal(powerBudget({ nivel: 1 }), 9);
+  assert.equal(powerBudget({ nivel: 3 }), 12);
+  const rs = { ...DEFAULT_RULESET, orcamento: { base: 10, porNivel: 0, porAura: { "Especialização": 1.5 } } };
+  assert.equal(powerBudget({ nivel: 5, tipoAura: "Especialização" }, rs), 15);
+  assert.equal(powerBudget({ nivel: 5, tipoAura: "Emissão" }, rs), 10);
+});
+
+test("avaliação da ficha soma o poder efetivo e aponta as mais desequilibradas", () => {
+  const ficha = {
+    nome: "Gon",
+    nivel: 1,
+    habilidades: [
+      { id: "d", nome: "Soco", descricao: "dano massivo", dado: 20, condicoes: [{ descricao: "requer concentração" }] },
+      { id: "a", nome: "Jajanken", descricao: "causa dano massivo", dado: 8 },
+      { id: "b", nome: "Escudo", descricao: "cria um escudo", dado: 2 },
+      { id: "c", nome: "Apocalipse", descricao: "mata instantaneamente", dado: 10 },
+    ],
+  };
+  const r = evaluateSheet(ficha);
+  const soma = r.habilidades.reduce((total, h) => total + h.avaliacao.poderEfetivo, 0);
+  assert.equal(r.resumo.poderEfetivoTotal, Math.round(soma * 100) / 100);
+  // Todas no teto do percentual; "a" e "c" são fortes e sem restrição, a pior faixa
+  assert.deepEqual(r.resumo.maisDesequilibradas.map((h) => h.id), ["a", "c", "d"]);
+  assert.equal(r.resumo.orcamento.limite, 9);
+  assert.equal(r.resumo.orcamento.excedido, true);
+  assert.equal(r.versaoRegras, DEFAULT_RULESET.versao);
+
+  // Sugestões são texto editável: tirá-las não muda o resumo
+  const semSugestoes = structuredClone(DEFAULT_RULESET);
+  semSugestoes.classificacao.semRestricao.sugestoes = [];
+  for (const faixa of semSugestoes.classificacao.faixas) faixa.sugestoes = [];
+  assert.deepEqual(evaluateSheet(ficha, semSugestoes).resumo.maisDesequilibradas, r.resumo.maisDesequilibradas);
+});
+
+test("a faixa vem do poder antes do teto, a mesma na avaliação e no resumo da ficha", () => {
+  // Teto do poder abaixo do limite de semRestricao: o poder devolvido não passa dele
+  const rs = structuredClone(DEFAULT_RULESET);
+  rs.balanco.poderMaximo = rs.classificacao.semRestricao.poderAcima - 1;
+
+  const avaliacao = evaluateSkill({ dado: 12 }, rs);
+  assert.equal(avaliacao.status, rs.classificacao.semRestricao.status);
+  assert.equal(avaliacao.indiceFaixa, rs.classificacao.faixas.length);
+  assert.ok(avaliacao.poderBase <= rs.classificacao.semRestricao.poderAcima);
+
+  const r = evaluateSheet({ habilidades: [{ id: "fraca", dado: 1 }, { id: "forte", dado: 12 }] }, rs);
+  assert.deepEqual(r.resumo.maisDesequilibradas.map((h) => h.id), ["forte"]);
+});
+
+test("avaliar-ficha recusa condições fora do formato com 400", async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(createSkillRulesRouter({
+    rulesets: { current: async () => DEFAULT_RULESET },
+    fichas: null,
+    auth: { requireAuth: (req, res, next) => next(), requireMestre: (req, res, next) => next() },
+  }));
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const post = (rota, corpo) => fetch(`${url}${rota}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(corpo),
+  });
+
+  try {
+    for (const condicoes of [null, []]) {
+      const ok = await post("/api/avaliar-ficha", { ficha: { habilidades: [{ nome: "Soco", condicoes }] } });
+      assert.equal(ok.status, 200);
+    }
+    for (const condicoes of [{}, "à noite", [null], [["x"]]]) {
+      const res = await post("/api/avaliar-ficha", { ficha: { habilidades: [{ nome: "Soco", condicoes }] } });
+      assert.equal(res.status, 400);
+      assert.match((await res.json()).detalhes[0].campo, /^habilidades\[0\]\.condicoes/);
+    }
+    assert.equal((await post("/api/avaliar-habilidade", { nome: "Soco", condicoes: {} })).status, 400);
+  } finally {
+    server.close();
+  }
+});
+
+test("serviço grava versões novas, recusa edição desatualizada e volta versões", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "regras-"));
+  const rulesets = createRulesetService({ store: createFileStore({ dir }) });
+
+  const rigida = { ...structuredClone(DEFAULT_RULESET), balanco: { ...DEFAULT_RULESET.balanco, limiteMaximo: 2 } };
+  const base = DEFAULT_RULESET.versao;
+  const nova = await rulesets.save(rigida, { uid: "m", email: "mestre@mesa" }, { base });
+  assert.equal(nova.versao, base + 1);
+  assert.equal(evaluateSkill({ dado: 2 }, await rulesets.current()).versaoRegras, base + 1);
+
+  await assert.rejects(rulesets.save(rigida, null, { base }), { status: 409 });
+
+  await rulesets.activate(1);
+  assert.equal((await rulesets.current()).versao, 1);
+  assert.deepEqual((await rulesets.list()).map((v) => [v.versao, v.ativa]), [[3, false], [2, false], [1, true]]);
+});
+
+test("a versão 1 continua como foi publicada; os termos novos só valem na padrão", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "regras-"));
+  const rulesets = createRulesetService({ store: createFileStore({ dir }) });
+
+  assert.equal(await rulesets.get(1), RULESET_V1);
+  assert.equal((await rulesets.current()).versao, DEFAULT_RULESET.versao);
+  assert.notEqual(DEFAULT_RULESET.versao, RULESET_V1.versao);
+
+  const hab = { nome: "Salto", descricao: "Teletransporte até o aliado" };
+  const ids = (rs) => evaluateSkill(hab, rs).detalhamento.map((item) => item.regra);
+  assert.ok(!ids(RULESET_V1).includes("teleporte"));
+  assert.ok(ids(DEFAULT_RULESET).includes("teleporte"));
+  assert.equal(evaluateSkill(hab, RULESET_V1).versaoRegras, 1);
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyze, findPhrase, foldAccents, matchAlternatives, stem } from "../textAnalysis.js";
+
+const acha = (texto, termo) => findPhrase(analyze(texto), termo)?.trecho ?? null;
+
+test("foldAccents tira acentos e caixa", () => {
+  assert.equal(foldAccents("Explosão, Ação e PÂNICO"), "explosao, acao e panico");
+});
+
+test("stem junta flexões da mesma palavra", () => {
+  for (const grupo of [
+    ["mata", "matar", "matando", "matou", "mataram", "matam"],
+    ["controla", "controlar", "controle", "controlando"],
+    ["dano", "danos"],
+    ["explosão", "explosões"],
+    ["todos", "todas", "todo"],
+    ["teleporte", "teleportar", "teleporta"],
+  ]) {
+    const raizes = grupo.map((p) => stem(foldAccents(p)));
+    assert.equal(new Set(raizes).size, 1, `${grupo.join(", ")} -> ${raizes.join(", ")}`);
+  }
+});
+
+test("stem não mexe em palavras curtas", () => {
+  assert.equal(stem("pe"), "pe");
+  assert.equal(stem("dia"), "dia");
+});
+
+test("frases casam só com palavras inteiras", () => {
+  assert.equal(acha("Perde o controle", "pe"), null);
+  assert.equal(acha("Gasta 5 PE", "pe"), "PE");
+  assert.equal(acha("diamante bruto", "dia"), null);
+});
+
+test("frases casam sem acento e em outra flexão", () => {
+  assert.equal(acha("causa uma explosao enorme", "explosão"), "explosao");
+  assert.equal(acha("Matando instantaneamente o alvo", "mata instantaneamente"), "Matando instantaneamente");
+});
+
+test("termos com = casam só a palavra exata", () => {
+  assert.equal(stem("ali"), stem(foldAccents("aliados")));
+  assert.equal(acha("só funciona ali", "=aliados"), null);
+  assert.equal(acha("atinge os aliados", "=aliados"), "aliados");
+  assert.equal(acha("faz o alvo mentir", "=mente"), null);
+  assert.equal(acha("Controla a Mente", "=mente"), "Mente");
+});
+
+test("frases precisam das palavras juntas e em ordem", () => {
+  assert.equal(acha("mata o alvo na hora", "mata na hora"), null);
+  assert.equal(acha("hora na mata", "mata na hora"), null);
+});
+
+test("ocorrências negadas não contam", () => {
+  assert.equal(acha("Não mata instantaneamente", "mata instantaneamente"), null);
+  assert.equal(acha("nunca causa dano massivo", "dano massivo"), null);
+  assert.equal(acha("jamais fica invisível", "invisível"), null);
+});
+
+test("a negação acaba na pontuação, numa adversativa ou depois de três palavras", () => {
+  assert.equal(acha("Não dói. Mata instantaneamente", "mata instantaneamente"), "Mata instantaneamente");
+  assert.equal(acha("não é bonito, mas mata instantaneamente", "mata instantaneamente"), "mata instantaneamente");
+  assert.equal(acha("não pode ser usada com frequência e mata instantaneamente", "mata instantaneamente"), "mata instantaneamente");
+});
+
+test("a mesma frase pode aparecer negada e depois afirmada", () => {
+  assert.equal(acha("Não paralisa aliados; paralisa inimigos", "paralisa"), "paralisa");
+});
+
+test("trecho preserva o texto original mesmo com emoji e acentos antes", () => {
+  assert.equal(acha("🔥 Ação: explosão", "explosão"), "explosão");
+});
+
+test("matchAlternatives devolve a primeira alternativa com todos os termos", () => {
+  const analise = analyze("Controla a mente dos inimigos");
+  const achou = matchAlternatives(analise, [["controla", "tempo"], ["controla", "mente"]]);
+  assert.deepEqual(achou.termos, ["controla", "mente"]);
+  assert.deepEqual(achou.achados.map((a) => a.trecho), ["Controla", "mente"]);
+  assert.equal(matchAlternatives(analise, [["controla", "tempo"]]), null);
+});
@@ -0,0 +1,136 @@
+/* ===============================
+   🔤 ANÁLISE DE TEXTO (PORTUGUÊS)
+================================ */
+
+// Camada usada pelas regras de avaliação (ver skillRules.js) para comparar
+// textos livres com termos das regras:
+//   - acentos e caixa não importam ("Explosão" = "explosao")
+//   - termos casam por palavras inteiras ("pe" não casa dentro de "perde")
+//   - radical simples: "mata", "matar", "matando" e "matou" casam entre si
+//   - ocorrências negadas ("não mata instantaneamente") não contam
+// Um termo com várias palavras é uma frase: as palavras precisam aparecer
+// juntas e na mesma ordem. Um termo começando com "=" casa só as palavras
+// exatas (sem radical), para quando o radical junta palavras sem relação:
+// "aliados" e "ali", "mente" e "mentir".
+
+// Palavras que negam o que vem logo depois, na mesma oração
+const NEGADORES = new Set(["nao", "nunca", "jamais", "nem", "nenhum", "nenhuma"]);
+const JANELA_NEGACAO = 3;
+
+// Pontuação e conjunções adversativas encerram o alcance da negação
+const FIM_ORACAO = /[.,;:!?()\n]/;
+const ADVERSATIVAS = new Set(["mas", "porem", "contudo", "entretanto"]);
+
+// Sufixos retirados pelo radical, do mais longo para o mais curto
+const SUFIXOS = [
+  "idade", "aram", "eram", "iram", "avam", "ando", "endo", "indo",
+  "ado", "ada", "ido", "ida", "ava", "ar", "er", "ir", "ou", "am", "em",
+];
+const VOGAIS_FINAIS = ["a", "e", "i", "o"];
+const RADICAL_MINIMO = 3;
+
+export function foldAccents(texto) {
+  return String(texto ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+// 🟢 RADICAL de uma palavra já sem acentos (stemmer leve, sem dicionário)
+export function stem(palavra) {
+  let raiz = palavra;
+  if (raiz.length <= RADICAL_MINIMO) return raiz;
+
+  // Plural
+  if (raiz.endsWith("oes") || raiz.endsWith("aes")) raiz = `${raiz.slice(0, -3)}ao`;
+  else if (raiz.endsWith("ns")) raiz = `${raiz.slice(0, -2)}m`;
+  else if (/[rzs]es$/.test(raiz)) raiz = raiz.slice(0, -2);
+  else if (raiz.endsWith("s") && !raiz.endsWith("ss")) raiz = raiz.slice(0, -1);
+  if (raiz.length <= RADICAL_MINIMO) return raiz;
+
+  // Flexões verbais e sufixos comuns
+  for (const sufixo of SUFIXOS) {
+    if (raiz.endsWith(sufixo) && raiz.length - sufixo.length >= RADICAL_MINIMO) {
+      return raiz.slice(0, -sufixo.length);
+    }
+  }
+
+  // Gênero e vogal temática
+  if (VOGAIS_FINAIS.includes(raiz.at(-1))) return raiz.slice(0, -1);
+  return raiz;
+}
+
+// 🟢 ANALISA um texto: palavras com posição no original, radical, oração e negação
+//   { texto, tokens: [{ forma, raiz, inicio, fim, oracao, negado }] }
+export function analyze(texto) {
+  const original = String(texto ?? "").normalize("NFC");
+  // Dobra letra a letra para as posições continuarem batendo com o original
+  // (o que mudaria de tamanho vira espaço)
+  const dobrado = [...original].map((c) => {
+    const letra = foldAccents(c);
+    return letra.length === c.length ? letra : " ".repeat(c.length);
+  }).join("");
+
+  const tokens = [];
+  let oracao = 0;
+  let anterior = 0;
+  for (const match of dobrado.matchAll(/[a-z0-9]+/g)) {
+    if (FIM_ORACAO.test(dobrado.slice(anterior, match.index))) oracao += 1;
+    anterior = match.index + match[0].length;
+
+    const forma = match[0];
+    if (ADVERSATIVAS.has(forma)) oracao += 1;
+    tokens.push({ forma, raiz: stem(forma), inicio: match.index, fim: anterior, oracao });
+  }
+
+  for (const [i, token] of tokens.entries()) {
+    token.negado = tokens
+      .slice(Math.max(0, i - JANELA_NEGACAO), i)
+      .some((t) => t.oracao === token.oracao && NEGADORES.has(t.forma));
+  }
+
+  return { texto: original, tokens };
+}
+
+// Termos das regras se repetem muito: guarda as palavras já calculadas
+// ({ campo: "raiz" | "forma", valor } para comparar com os tokens do texto)
+const cacheTermos = new Map();
+
+function termWords(termo) {
+  if (!cacheTermos.has(termo)) {
+    const exato = termo.startsWith("=");
+    const { tokens } = analyze(exato ? termo.slice(1) : termo);
+    cacheTermos.set(termo, tokens.map((t) => (exato ? { campo: "forma", valor: t.forma } : { campo: "raiz", valor: t.raiz })));
+  }
+  return cacheTermos.get(termo);
+}
+
+// 🟢 PROCURA uma frase no texto analisado; devolve a primeira ocorrência não
+// negada ({ inicio, fim, trecho } com o trecho como está no original) ou null
+export function findPhrase(analise, termo) {
+  const palavras = termWords(termo);
+  if (palavras.length === 0) return null;
+
+  const { tokens } = analise;
+  for (let i = 0; i + palavras.length <= tokens.length; i++) {
+    if (!palavras.every(({ campo, valor }, k) => tokens[i + k][campo] === valor)) continue;
+    if (tokens[i].negado) continue;
+
+    const inicio = tokens[i].inicio;
+    const fim = tokens[i + palavras.length - 1].fim;
+    return { inicio, fim, trecho: analise.texto.slice(inicio, fim) };
+  }
+  return null;
+}
+
+// Alguma alternativa com todos os termos presentes (e não negados)?
+// Devolve os trechos encontrados da primeira que bater, ou null
+export function matchAlternatives(analise, quando) {
+  for (const alternativa of quando) {
+    const achados = [];
+    for (const termo of alternativa) {
+      const achado = findPhrase(analise, termo);
+      if (!achado) break;
+      achados.push(achado);
+    }
+    if (achados.length === alternativa.length) return { termos: alternativa, achados };
+  }
+  return null;
+}
@@ -0,0 +1,164 @@
+import multer from "multer";
+import { ROLES } from "./auth.js";
+
+/* ===============================
+   🧪 VALIDAÇÃO DE UPLOADS
+================================ */
+
+const MB = 1024 * 1024;
+
+// Assinaturas (magic bytes) dos formatos aceitos. `offset` é onde o trecho começa.
+const SIGNATURES = [
+  { kind: "image", mime: "image/png", ext: ".png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { kind: "image", mime: "image/jpeg", ext: ".jpg", bytes: [0xff, 0xd8, 0xff] },
+  { kind: "image", mime: "image/gif", ext: ".gif", ascii: "GIF8" },
+  { kind: "image", mime: "image/webp", ext: ".webp", ascii: "RIFF", extra: { offset: 8, ascii: "WEBP" } },
+  { kind: "image", mime: "image/avif", ext: ".avif", offset: 4, ascii: "ftypavif" },
+
+  { kind: "audio", mime: "audio/mpeg", ext: ".mp3", ascii: "ID3" },
+  { kind: "audio", mime: "audio/ogg", ext: ".ogg", ascii: "OggS" },
+  { kind: "audio", mime: "audio/wav", ext: ".wav", ascii: "RIFF", extra: { offset: 8, ascii: "WAVE" } },
+  { kind: "audio", mime: "audio/flac", ext: ".flac", ascii: "fLaC" },
+  { kind: "audio", mime: "audio/webm", ext: ".webm", bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { kind: "audio", mime: "audio/mp4", ext: ".m4a", offset: 4, ascii: "ftypM4A" },
+];
+
+function matches(buffer, { offset = 0, bytes, ascii }) {
+  const esperado = bytes ? Buffer.from(bytes) : Buffer.from(ascii, "latin1");
+  if (buffer.length < offset + esperado.length) return false;
+  return buffer.subarray(offset, offset + esperado.length).equals(esperado);
+}
+
+// 🟢 Descobre o tipo real do arquivo pelo conteúdo, ignorando o mimetype do cliente
+export function sniffFileType(buffer) {
+  if (!buffer?.length) return null;
+
+  for (const sig of SIGNATURES) {
+    if (matches(buffer, sig) && (!sig.extra || matches(buffer, sig.extra))) {
+      return { kind: sig.kind, mime: sig.mime, ext: sig.ext };
+    }
+  }
+
+  // MP3 sem ID3 (frame sync) e AAC em ADTS
+  if (buffer.length > 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) {
+    return (buffer[1] & 0x06) === 0
+      ? { kind: "audio", mime: "audio/aac", ext: ".aac" }
+      : { kind: "audio", mime: "audio/mpeg", ext: ".mp3" };
+  }
+
+  return null;
+}
+
+// Limites por tipo, em bytes (UPLOAD_MAX_IMAGE_MB, UPLOAD_MAX_AUDIO_MB)
+export function resolveUploadLimits(env = process.env) {
+  return {
+    image: (Number(env.UPLOAD_MAX_IMAGE_MB) || 15) * MB,
+    audio: (Number(env.UPLOAD_MAX_AUDIO_MB) || 50) * MB,
+  };
+}
+
+// Erro de validação com status HTTP
+export class UploadError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const QUOTAS_COLLECTION = "cotasUpload";
+
+// 🟢 Cota de armazenamento por usuário (UPLOAD_QUOTA_MB). O tamanho do arquivo
+// recebido é reservado antes de enviar a qualquer serviço e ajustado depois
+// para o tamanho realmente armazenado. O mestre não tem cota.
+export function createQuotaService({ store, quotaBytes }) {
+  const reservas = new Map();
+
+  async function usage(uid) {
+    const doc = await store.get(QUOTAS_COLLECTION, uid);
+    return doc?.bytes || 0;
+  }
+
+  async function reserve(user, bytes) {
+    if (user.role === ROLES.MESTRE) return { uid: user.uid, bytes: 0 };
+
+    const usado = (await usage(user.uid)) + (reservas.get(user.uid) || 0);
+    if (usado + bytes > quotaBytes) {
+      const livre = Math.max(quotaBytes - usado, 0);
+      throw new UploadError(413, `Cota de armazenamento excedida (livre: ${(livre / MB).toFixed(1)}MB de ${(quotaBytes / MB).toFixed(0)}MB)`);
+    }
+
+    reservas.set(user.uid, (reservas.get(user.uid) || 0) + bytes);
+    return { uid: user.uid, bytes };
+  }
+
+  // Idempotente: pode ser chamado pelo commit e de novo no fim da resposta
+  function release(reserva) {
+    if (!reserva?.bytes || reserva.liberada) return;
+    reserva.liberada = true;
+    const restante = (reservas.get(reserva.uid) || 0) - reserva.bytes;
+    if (restante > 0) reservas.set(reserva.uid, restante);
+    else reservas.delete(reserva.uid);
+  }
+
+  async function commit(reserva, bytesArmazenados) {
+    if (!reserva?.bytes || reserva.liberada) return;
+    release(reserva);
+    const doc = await store.get(QUOTAS_COLLECTION, reserva.uid);
+    await store.set(QUOTAS_COLLECTION, reserva.uid, {
+      bytes: (doc?.bytes || 0) + bytesArmazenados,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  return { usage, reserve, release, commit, quotaBytes };
+}
+
+// 🟢 Middleware de upload: lê o arquivo com limite de memória, detecta o tipo
+// real, aplica o limite do tipo e reserva a cota. Preenche `req.upload`.
+// Usar depois de requireAuth.
+export function createUploadGuard({ limits, quota }) {
+  const parser = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: Math.max(...Object.values(limits)), files: 1 },
+  }).single("file");
+
+  return function acceptUpload(kinds = ["image", "audio"]) {
+    return (req, res, next) => {
+      parser(req, res, async (err) => {
+        try {
+          if (err instanceof multer.MulterError) {
+            if (err.code === "LIMIT_FILE_SIZE") {
+              throw new UploadError(413, `Arquivo muito grande (máximo ${(Math.max(...Object.values(limits)) / MB).toFixed(0)}MB)`);
+            }
+            throw new UploadError(400, `Upload inválido: ${err.message}`);
+          }
+          if (err) throw err;
+
+          if (!req.file) throw new UploadError(400, "Nenhum arquivo enviado");
+
+          const tipo = sniffFileType(req.file.buffer);
+          if (!tipo || !kinds.includes(tipo.kind)) {
+            throw new UploadError(415, `Tipo de arquivo não suportado (aceitos: ${kinds.join(", ")})`);
+          }
+
+          if (req.file.size > limits[tipo.kind]) {
+            throw new UploadError(413, `Arquivo de ${tipo.kind === "audio" ? "áudio" : "imagem"} muito grande (máximo ${(limits[tipo.kind] / MB).toFixed(0)}MB)`);
+          }
+
+          const reserva = await quota.reserve(req.user, req.file.size);
+          req.upload = { ...tipo, reserva };
+
+          // Se a resposta não confirmar a cota, a reserva é liberada ao terminar
+          res.on("finish", () => quota.release(reserva));
+          next();
+        } catch (validationErr) {
+          if (validationErr instanceof UploadError) {
+            console.error("🧪 Upload recusado:", validationErr.message);
+            return res.status(validationErr.status).json({ error: validationErr.message });
+          }
+          next(validationErr);
+        }
+      });
+    };
+  };
+}
@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import { ROLES } from "./auth.js";
+import { SOCKET_ERRORS, socketError } from "./permissions.js";
+
+/* ===============================
+   👁️ VISIBILIDADE DOS TOKENS E NÉVOA
+================================ */
+
+// `token.visivelPara`:
+//   ausente/null   revelado, todos veem
+//   "mestre"       só o mestre (emboscadas, armadilhas)
+//   ["uid", ...]   o mestre e esses jogadores
+// O dono sempre vê o próprio token e o mestre vê tudo.
+//
+// Névoa (`cena.fog.regioes`, uma por cena): áreas do mapa cobertas até o mestre limpá-las.
+// Tokens cujo centro está numa área coberta ficam escondidos dos jogadores.
+//   { id, nome, forma: "retangulo", x, y, width, height, revelada }
+//   { id, nome, forma: "poligono", pontos: [{ x, y }], revelada }
+
+export const VISIBILITY_GM = "mestre";
+
+export function createFogState() {
+  return { regioes: [] };
+}
+
+// Normaliza o valor pedido pelo mestre; undefined se for inválido
+export function normalizeVisibility(valor) {
+  if (valor === undefined || valor === null || valor === "" || valor === "todos") return null;
+  if (valor === VISIBILITY_GM) return VISIBILITY_GM;
+  if (Array.isArray(valor) && valor.every((uid) => typeof uid === "string" && uid)) {
+    return [...new Set(valor)];
+  }
+  return undefined;
+}
+
+export function tokenCenter(token) {
+  return {
+    x: Number(token.x || 0) + Number(token.width || 0) / 2,
+    y: Number(token.y || 0) + Number(token.height || 0) / 2,
+  };
+}
+
+// Ray casting para polígonos; retângulos por comparação direta
+export function pointInRegion({ x, y }, regiao) {
+  if (regiao.forma === "poligono") {
+    let dentro = false;
+    const pts = regiao.pontos;
+    for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+      const cruza = (pts[i].y > y) !== (pts[j].y > y) &&
+        x < ((pts[j].x - pts[i].x) * (y - pts[i].y)) / (pts[j].y - pts[i].y) + pts[i].x;
+      if (cruza) dentro = !dentro;
+    }
+    return dentro;
+  }
+
+  return x >= regiao.x && x <= regiao.x + regiao.width && y >= regiao.y && y <= regiao.y + regiao.height;
+}
+
+export function isFogged(cena, token) {
+  const centro = tokenCenter(token);
+  return cena.fog.regioes.some((regiao) => !regiao.revelada && pointInRegion(centro, regiao));
+}
+
+// 🟢 O usuário pode ver o token?
+export function canSeeToken(cena, token, user) {
+  if (!token) return false;
+  if (user?.role === ROLES.MESTRE) return true;
+  if (token.owner && token.owner === user?.uid) return true;
+
+  const regra = token.visivelPara;
+  if (regra === VISIBILITY_GM) return false;
+  if (Array.isArray(regra) && !regra.includes(user?.uid)) return false;
+  return !isFogged(cena, token);
+}
+
+export function visibleTokens(cena, user) {
+  return cena.tokens.filter((token) => canSeeToken(cena, token, user));
+}
+
+// O que um usuário deve receber quando um token muda de `anterior` para `atual`
+// (qualquer um pode ser null): entrar, sair ou só atualizar na tela dele
+export function tokenDelta(cena, anterior, atual, user) {
+  const via = canSeeToken(cena, anterior, user);
+  const ve = canSeeToken(cena, atual, user);
+
+  if (ve && !via) return { event: "addToken", payload: atual };
+  if (via && !ve) return { event: "deleteToken", payload: anterior.id };
+  if (ve) return { event: "updateToken", payload: atual };
+  return null;
+}
+
+function toNumber(valor) {
+  const numero = Number(valor);
+  return Number.isFinite(numero) ? numero : null;
+}
+
+// 🟢 NÉVOA: o mestre desenha áreas cobertas e depois limpa uma a uma
+export function addFogRegion(cena, dados = {}) {
+  const nome = dados.nome ? String(dados.nome).slice(0, 100) : null;
+  let regiao;
+
+  if (dados.forma === "poligono") {
+    const pontos = Array.isArray(dados.pontos)
+      ? dados.pontos.map((p) => ({ x: toNumber(p?.x), y: toNumber(p?.y) }))
+      : [];
+    if (pontos.length < 3 || pontos.some((p) => p.x === null || p.y === null)) {
+      return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "Polígono precisa de pelo menos 3 pontos");
+    }
+    regiao = { forma: "poligono", pontos };
+  } else {
+    const [x, y, width, height] = [dados.x, dados.y, dados.width, dados.height].map(toNumber);
+    if ([x, y, width, height].includes(null) || width <= 0 || height <= 0) {
+      return socketError(SOCKET_ERRORS.INVALID_PAYLOAD, "Retângulo precisa de x, y, width e height");
+    }
+    regiao = { forma: "retangulo", x, y, width, height };
+  }
+
+  const nova = { id: crypto.randomUUID(), nome, ...regiao, revelada: false };
+  cena.fog.regioes.push(nova);
+  return { ok: true, regiao: nova };
+}
+
+function setRevealed(cena, id, revelada) {
+  const regiao = cena.fog.regioes.find((r) => r.id === id);
+  if (!regiao) return socketError(SOCKET_ERRORS.NOT_FOUND, "Área de névoa não encontrada");
+  regiao.revelada = revelada;
+  return { ok: true, regiao };
+}
+
+export const clearFogRegion = (cena, id) => setRevealed(cena, id, true);
+export const coverFogRegion = (cena, id) => setRevealed(cena, id, false);
+
+export function removeFogRegion(cena, id) {
+  if (!cena.fog.regioes.some((r) => r.id === id)) {
+    return socketError(SOCKET_ERRORS.NOT_FOUND, "Área de névoa não encontrada");
+  }
+  cena.fog.regioes = cena.fog.regioes.filter((r) => r.id !== id);
+  return { ok: true };
+}
+
+export function resetFog(cena) {
+  cena.fog = createFogState();
+  return { ok: true };
+}
+
+// Jogadores recebem só as áreas ainda cobertas (para desenhar a névoa)
+export function fogSnapshot(cena, user) {
+  if (user?.role === ROLES.MESTRE) return cena.fog;
+  return { regioes: cena.fog.regioes.filter((r) => !r.revelada).map(({ nome, ...r }) => r) };
+}